@@ -7,7 +7,9 @@ const nodeRequire = createRequire(fileURLToPath(import.meta.url));
 const { peerDependencies, optionalDependencies, exports } = nodeRequire('./package.json');
 
 const external = new Set(
-  ['node:path/posix', 'node:crypto'].concat(Object.keys(peerDependencies)).concat(Object.keys(optionalDependencies ?? []))
+  ['node:async_hooks', 'node:events', 'node:os', 'node:path/posix', 'node:crypto', 'node:timers/promises']
+    .concat(Object.keys(peerDependencies))
+    .concat(Object.keys(optionalDependencies ?? []))
 );
 
 export default Object.values(exports).map((exp) => {
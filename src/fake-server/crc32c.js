@@ -0,0 +1,23 @@
+const CRC32C_TABLE = new Uint32Array(256);
+
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC32C_TABLE[n] = c;
+}
+
+/**
+ * Calculate CRC32C (Castagnoli) checksum
+ * @param {string|Uint8Array} data
+ * @returns {number} unsigned 32-bit checksum
+ */
+export function crc32c(data) {
+  const buf = Buffer.from(data);
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC32C_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
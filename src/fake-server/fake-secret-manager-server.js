@@ -7,13 +7,15 @@ import * as protoLoader from '@grpc/proto-loader';
 import Debug from 'debug';
 import Long from 'long';
 
+import { crc32c } from './crc32c.js';
 import { RpcCodes } from './rpc-codes.js';
 
 export { RpcCodes } from './rpc-codes.js';
 
 const debug = Debug('aller:google-cloud-secret:fake-server');
 
-const validSecretNamePattern = /^projects\/\d+\/secrets\/[\w-]+$/;
+const validSecretNamePattern = /^projects\/\d+\/(?:locations\/[\w-]+\/)?secrets\/[\w-]+$/;
+const regionalSecretNamePattern = /^projects\/\d+\/locations\//;
 
 /** @type {Map<string, FakeSecretData>} */
 const db = new Map();
@@ -62,7 +64,12 @@ const exampleServer = {
       return respond(new FakeRpcError('Invalid resource field value in the request.', RpcCodes.INVALID_ARGUMENT));
     }
 
-    if (db.has(name)) {
+    const regional = regionalSecretNamePattern.test(name);
+    if (regional && payload.secret.replication) {
+      return respond(new FakeRpcError('Replication is not supported for regional secrets.', RpcCodes.INVALID_ARGUMENT));
+    }
+
+    if (getFakeSecret(name)) {
       return respond(new FakeRpcError(`${name} already exists`, RpcCodes.ALREADY_EXISTS));
     }
 
@@ -81,24 +88,28 @@ const exampleServer = {
       versionDestroyTtl: null,
       customerManagedEncryption: null,
       ...payload.secret,
+      ...(payload.secret.ttl && { expireTime: addDuration(now, payload.secret.ttl) }),
       name,
-      replication: {
-        ...payload.secret.replication,
-        // @ts-ignore
-        replication: !payload.secret.replication?.automatic ? 'userManaged' : 'automatic',
-      },
+      replication: regional
+        ? null
+        : {
+            ...payload.secret.replication,
+            // @ts-ignore
+            replication: !payload.secret.replication?.automatic ? 'userManaged' : 'automatic',
+          },
       etag: generateEtag(),
       createTime: {
         nanos: now.getUTCMilliseconds() * 1e6,
         seconds: Math.floor(now.setUTCMilliseconds(0) / 1000),
       },
     };
+    delete secret.ttl;
 
     db.set(name, { metadata: req.metadata, secret, versions: [] });
 
     debug('secret %s created', name);
 
-    respond(null, secret);
+    respond(null, toSecretResponse(secret));
   },
   /**
    * @param {import('types').GetSecretRequest} req
@@ -112,11 +123,11 @@ const exampleServer = {
     }
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(name))) {
+    if (!(fakeSecret = getFakeSecret(name))) {
       return respond(new FakeRpcSecretNotFoundError(name));
     }
 
-    respond(null, { ...fakeSecret.secret });
+    respond(null, toSecretResponse(fakeSecret.secret));
   },
   /**
    * @param {import('types').AddSecretVersionRequest} req
@@ -129,12 +140,20 @@ const exampleServer = {
       return respond(new FakeRpcError('Invalid resource field value in the request.', RpcCodes.INVALID_ARGUMENT));
     }
 
-    const parentSecret = db.get(payload.parent);
+    const parentSecret = getFakeSecret(payload.parent);
 
     if (!parentSecret) {
       return respond(new FakeRpcSecretNotFoundError(payload.parent));
     }
 
+    const data = Buffer.from(payload.payload.data ?? '');
+    const dataCrc32c = payload.payload.dataCrc32c;
+    const clientSpecifiedPayloadChecksum = dataCrc32c !== null && dataCrc32c !== undefined;
+
+    if (clientSpecifiedPayloadChecksum && Long.fromValue(dataCrc32c).toNumber() !== crc32c(data)) {
+      return respond(new FakeRpcError('Checksum mismatch.', RpcCodes.INVALID_ARGUMENT));
+    }
+
     const now = new Date();
 
     debug('add secret version to %s', payload.parent, req.metadata.getMap());
@@ -144,6 +163,7 @@ const exampleServer = {
       name: path.join(payload.parent, 'versions', (parentSecret.versions.length + 1).toString()),
       etag: generateEtag(),
       state: 'ENABLED',
+      clientSpecifiedPayloadChecksum,
       createTime: {
         nanos: now.getUTCMilliseconds() * 1e6,
         seconds: Math.floor(now.setUTCMilliseconds(0) / 1000),
@@ -169,7 +189,7 @@ const exampleServer = {
     const parent = path.join(...parts);
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(parent))) {
+    if (!(fakeSecret = getFakeSecret(parent))) {
       return respond(new FakeRpcSecretNotFoundError(parent));
     }
 
@@ -179,8 +199,14 @@ const exampleServer = {
       return respond(new FakeRpcMismatchingEtagError());
     }
 
+    if (fakeVersion.version.state === 'DESTROYED') {
+      return respond(new FakeRpcError('SecretVersion.state is DESTROYED.', RpcCodes.FAILED_PRECONDITION));
+    }
+
     fakeVersion.version.state = 'DISABLED';
     fakeVersion.version.etag = generateEtag();
+    // disabling a version scheduled for destruction cancels destruction
+    fakeVersion.version.scheduledDestroyTime = null;
 
     respond(null, fakeVersion.version);
   },
@@ -196,7 +222,7 @@ const exampleServer = {
     const parent = path.join(...parts);
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(parent))) {
+    if (!(fakeSecret = getFakeSecret(parent))) {
       return respond(new FakeRpcSecretNotFoundError(parent));
     }
 
@@ -209,8 +235,14 @@ const exampleServer = {
       return respond(new FakeRpcMismatchingEtagError());
     }
 
+    if (fakeVersion.version.state === 'DESTROYED') {
+      return respond(new FakeRpcError('SecretVersion.state is DESTROYED.', RpcCodes.FAILED_PRECONDITION));
+    }
+
     fakeVersion.version.state = 'ENABLED';
     fakeVersion.version.etag = generateEtag();
+    // enabling a version scheduled for destruction cancels destruction
+    fakeVersion.version.scheduledDestroyTime = null;
 
     respond(null, fakeVersion.version);
   },
@@ -226,14 +258,14 @@ const exampleServer = {
     const parent = path.join(...parts);
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(parent))) {
+    if (!(fakeSecret = getFakeSecret(parent))) {
       return respond(new FakeRpcSecretNotFoundError(parent));
     }
 
     fakeSecret.metadata = req.metadata;
 
     const fakeVersions = fakeSecret.versions;
-    const fakeVersion = version === 'latest' ? fakeVersions[0] : fakeVersions.find((v) => v.version.name === payload.name);
+    const fakeVersion = findFakeVersion(fakeSecret, payload.name, version);
 
     if (!fakeVersion) {
       return respond(
@@ -253,7 +285,7 @@ const exampleServer = {
    */
   ListSecretVersions(req, respond) {
     let fakeSecret;
-    if (!(fakeSecret = db.get(req.request.parent))) {
+    if (!(fakeSecret = getFakeSecret(req.request.parent))) {
       return respond(new FakeRpcError(`${req.payload.parent} doesn't exists`, RpcCodes.NOT_FOUND));
     }
 
@@ -279,7 +311,7 @@ const exampleServer = {
     const parent = path.join(...parts);
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(parent))) {
+    if (!(fakeSecret = getFakeSecret(parent))) {
       return respond(new FakeRpcSecretNotFoundError(parent));
     }
 
@@ -341,7 +373,7 @@ const exampleServer = {
     const name = payload.secret?.name;
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(name))) {
+    if (!(fakeSecret = getFakeSecret(name))) {
       return respond(new FakeRpcSecretNotFoundError(name));
     }
 
@@ -350,7 +382,19 @@ const exampleServer = {
     }
 
     if (payload.updateMask?.paths?.length) {
-      for (const prop of payload.updateMask.paths) {
+      for (const fieldPath of payload.updateMask.paths) {
+        // field mask paths are snake case, e.g. version_aliases, or rotation.next_rotation_time
+        const [prop, subProp] = fieldPath.replace(/_(\w)/g, (_, c) => c.toUpperCase()).split('.');
+        if (subProp) {
+          // @ts-ignore
+          fakeSecret.secret[prop] = { ...fakeSecret.secret[prop], [subProp]: payload.secret[prop]?.[subProp] ?? null };
+          continue;
+        }
+        if (prop === 'ttl') {
+          // ttl is input only, the secret expires after ttl from now
+          fakeSecret.secret.expireTime = payload.secret.ttl ? addDuration(new Date(), payload.secret.ttl) : null;
+          continue;
+        }
         // @ts-ignore
         fakeSecret.secret[prop] = payload.secret[prop];
       }
@@ -361,7 +405,7 @@ const exampleServer = {
     fakeSecret.metadata = req.metadata;
     fakeSecret.secret.etag = generateEtag();
 
-    respond(null, fakeSecret.secret);
+    respond(null, toSecretResponse(fakeSecret.secret));
   },
   /**
    * Access secret version data
@@ -375,12 +419,12 @@ const exampleServer = {
     const parent = path.join(...parts);
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(parent))) {
+    if (!(fakeSecret = getFakeSecret(parent))) {
       return respond(new FakeRpcSecretNotFoundError(parent));
     }
 
     const fakeVersions = fakeSecret.versions;
-    const fakeVersion = version === 'latest' ? fakeVersions[0] : fakeVersions.find((v) => v.version.name === payload.name);
+    const fakeVersion = findFakeVersion(fakeSecret, payload.name, version);
 
     if (!fakeVersion) {
       return respond(
@@ -391,7 +435,19 @@ const exampleServer = {
       );
     }
 
-    respond(null, { name: fakeVersion.version.name, payload: { data: fakeVersion.data } });
+    if (fakeVersion.version.state !== 'ENABLED') {
+      return respond(
+        new FakeRpcError(
+          `Secret Version [${fakeVersion.version.name}] is in ${fakeVersion.version.state} state.`,
+          RpcCodes.FAILED_PRECONDITION
+        )
+      );
+    }
+
+    respond(null, {
+      name: fakeVersion.version.name,
+      payload: { data: fakeVersion.data, dataCrc32c: crc32c(fakeVersion.data ?? '') },
+    });
   },
   /**
    * Delete secret
@@ -403,7 +459,7 @@ const exampleServer = {
     const { name, etag } = payload;
 
     let fakeSecret;
-    if (!(fakeSecret = db.get(name))) {
+    if (!(fakeSecret = getFakeSecret(name))) {
       return respond(new FakeRpcSecretNotFoundError(name));
     }
 
@@ -467,6 +523,75 @@ export async function startServer(options) {
   return server;
 }
 
+/**
+ * Find fake secret version by name, latest, or version alias
+ * @param {FakeSecretData} fakeSecret
+ * @param {string} name version resource name
+ * @param {string} version version number, latest, or alias
+ * @returns {FakeSecretVersion | undefined}
+ */
+function findFakeVersion(fakeSecret, name, version) {
+  if (version === 'latest') return fakeSecret.versions[0];
+
+  const aliasedVersion = fakeSecret.secret.versionAliases?.[version];
+  if (aliasedVersion !== undefined) {
+    const aliasedName = path.join(fakeSecret.secret.name, 'versions', aliasedVersion.toString());
+    return fakeSecret.versions.find((v) => v.version.name === aliasedName);
+  }
+
+  return fakeSecret.versions.find((v) => v.version.name === name);
+}
+
+/**
+ * Get fake secret, an expired secret is deleted
+ * @param {string} name secret name
+ * @returns {FakeSecretData | undefined}
+ */
+function getFakeSecret(name) {
+  const fakeSecret = db.get(name);
+  if (fakeSecret?.secret.expireTime && toMilliseconds(fakeSecret.secret.expireTime) <= Date.now()) {
+    debug('secret %s has expired', name);
+    db.delete(name);
+    return undefined;
+  }
+
+  return fakeSecret;
+}
+
+/**
+ * Add duration to date
+ * @param {Date} date
+ * @param {import('@google-cloud/secret-manager').protos.google.protobuf.IDuration} duration
+ * @returns {import('@google-cloud/secret-manager').protos.google.protobuf.ITimestamp}
+ */
+function addDuration(date, duration) {
+  const time = new Date(date.getTime() + toMilliseconds(duration));
+  return {
+    nanos: time.getUTCMilliseconds() * 1e6,
+    seconds: Math.floor(time.setUTCMilliseconds(0) / 1000),
+  };
+}
+
+/**
+ * Get milliseconds from protobuf timestamp or duration
+ * @param {import('@google-cloud/secret-manager').protos.google.protobuf.ITimestamp | import('@google-cloud/secret-manager').protos.google.protobuf.IDuration} timeOrDuration
+ */
+function toMilliseconds({ seconds, nanos }) {
+  const nSeconds = seconds instanceof Long ? seconds.toNumber() : Number(seconds ?? 0);
+  return nSeconds * 1000 + Math.floor((nanos ?? 0) / 1e6);
+}
+
+/**
+ * Get secret response, rotation period is input only and is not returned
+ * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+ * @returns {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret}
+ */
+function toSecretResponse(secret) {
+  if (!secret.rotation) return { ...secret };
+  const { rotationPeriod, ...rotation } = secret.rotation;
+  return { ...secret, rotation };
+}
+
 function generateEtag() {
   return `"${randomBytes(7).toString('hex')}"`;
 }
@@ -483,7 +608,7 @@ export function reset() {
  * @param {string} name secret name
  */
 export function getSecret(name) {
-  return db.get(name);
+  return getFakeSecret(name);
 }
 
 export default startServer;
@@ -1,13 +1,37 @@
-import path from 'node:path/posix';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { EventEmitter } from 'node:events';
+import { hostname } from 'node:os';
+import { setTimeout as sleep } from 'node:timers/promises';
 
 import secretManager from '@google-cloud/secret-manager';
 import Debug from 'debug';
 import { LRUCache } from 'lru-cache';
 
+import { crc32c } from './fake-server/crc32c.js';
 import { RpcCodes } from './fake-server/rpc-codes.js';
+import { getInstruments, withSpan } from './telemetry.js';
 
 const debug = Debug('aller:google-cloud-secret');
 
+/** @type {AsyncLocalStorage<operationContext>} */
+const operationStorage = new AsyncLocalStorage();
+
+/**
+ * In-flight optimistic updates per secret name, shared by all instances in the process
+ * @type {Map<string, pendingUpdate>}
+ */
+const pendingUpdates = new Map();
+
+/** @type {Required<retryOptions>} */
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 1,
+  minDelayMs: 100,
+  maxDelayMs: 10000,
+  factor: 2,
+  jitter: true,
+  deadlineMs: Infinity,
+};
+
 export class ConcurrentSecretError extends Error {
   /**
    * @param {string} message
@@ -20,19 +44,126 @@ export class ConcurrentSecretError extends Error {
   }
 }
 
-export class ConcurrentSecret {
+export class SecretValidationError extends ConcurrentSecretError {
   /**
-   * @param {string} name secret resource name, e.g. `projects/1234/secrets/concurrent-test-secret`
-   * @param {import('google-gax').ClientOptions | import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} [clientOrClientOptions] Secret Manager client instance or the options for a new one
+   * @param {string} message
+   * @param {unknown} [cause] validate function error
+   */
+  constructor(message, cause) {
+    super(message, RpcCodes.INVALID_ARGUMENT);
+    this.cause = cause;
+  }
+}
+
+export class SecretDecodeError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   * @param {unknown} [cause] codec decode error
+   */
+  constructor(message, cause) {
+    super(message, RpcCodes.DATA_LOSS);
+    this.cause = cause;
+  }
+}
+
+export class SecretIntegrityError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, RpcCodes.DATA_LOSS);
+  }
+}
+
+export class SecretLockedError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   * @param {secretLockedErrorDetails} details
+   */
+  constructor(message, { lockedAt, lockedBy, retryAfterMs }) {
+    super(message, RpcCodes.FAILED_PRECONDITION);
+    /** @type {Date} lock time */
+    this.lockedAt = lockedAt;
+    /** @type {string|undefined} lock owner */
+    this.lockedBy = lockedBy;
+    /** @type {number} milliseconds until lock grace period expires */
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class EtagConflictError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   * @param {unknown} [cause] gRPC error
+   */
+  constructor(message, cause) {
+    super(message, RpcCodes.FAILED_PRECONDITION);
+    this.cause = cause;
+  }
+}
+
+export class SecretNotFoundError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   * @param {unknown} [cause] gRPC error
+   */
+  constructor(message, cause) {
+    super(message, RpcCodes.NOT_FOUND);
+    this.cause = cause;
+  }
+}
+
+export class NoVersionsError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   * @param {unknown} [cause] gRPC error
+   */
+  constructor(message, cause) {
+    super(message, RpcCodes.NOT_FOUND);
+    this.cause = cause;
+  }
+}
+
+export class UpdateFunctionError extends ConcurrentSecretError {
+  /**
+   * @param {string} message
+   * @param {unknown} [cause] update function error
+   */
+  constructor(message, cause) {
+    super(message, RpcCodes.UNKNOWN);
+    this.cause = cause;
+  }
+}
+
+/** Audit record annotation key, e.g. rotation_12 */
+const AUDIT_ANNOTATION_PATTERN = /^rotation_(\d+)$/;
+
+/** Minimum delay of next rotation time accepted by Secret Manager */
+const MIN_NEXT_ROTATION_DELAY_MS = 300000;
+
+/** @type {secretCodec} */
+const JSON_CODEC = {
+  encode: (value) => JSON.stringify(value),
+  decode: (data) => JSON.parse(data.toString()),
+};
+
+/**
+ * @extends {EventEmitter<concurrentSecretEvents>}
+ */
+export class ConcurrentSecret extends EventEmitter {
+  /**
+   * @param {string} name secret resource name, e.g. `projects/1234/secrets/concurrent-test-secret` or regional `projects/1234/locations/europe-north1/secrets/concurrent-test-secret`
+   * @param {import('google-gax').ClientOptions | import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} [clientOrClientOptions] Secret Manager client instance or the options for a new one, a new client for a regional secret uses the regional endpoint unless apiEndpoint is set
    * @param {concurrentSecretOptions} [options] options
    */
   constructor(name, clientOrClientOptions, options) {
+    super();
     this.name = name;
-    this.latestVersionName = path.join(name, '/versions/latest');
+    this.latestVersionName = getSecretVersionName(name, 'latest');
     this.client =
       clientOrClientOptions instanceof secretManager.v1.SecretManagerServiceClient
         ? clientOrClientOptions
-        : new secretManager.v1.SecretManagerServiceClient(clientOrClientOptions);
+        : new secretManager.v1.SecretManagerServiceClient(getClientOptions(name, clientOrClientOptions));
 
     /** @type {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret | undefined} */
     this.secret = undefined;
@@ -46,378 +177,2526 @@ export class ConcurrentSecret {
      */
     this.updatedVersionName = undefined;
 
+    /**
+     * Secret as updated along with the latest added version
+     * @type {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret | undefined}
+     */
+    this.updatedSecret = undefined;
+
+    /**
+     * Fencing token of the latest acquired lock, increases with every lock
+     * @type {number|undefined}
+     */
+    this.fencingToken = undefined;
+
+    /**
+     * Time in epoch milliseconds when the current lock was acquired
+     * @type {number|undefined}
+     */
+    this.lockedAt = undefined;
+
+    /**
+     * Lock strategy specific handle of the current lock
+     * @type {any}
+     */
+    this.lockHandle = undefined;
+
     /** @type {concurrentSecretOptions} [gracePeriodMs] Lock grace period in milliseconds, continue if secret is locked beyond grace period */
-    this.options = { gracePeriodMs: 60000, ...options };
+    this.options = {
+      gracePeriodMs: 60000,
+      onContention: 'throw',
+      pollIntervalMs: 1000,
+      coalesceUpdates: false,
+      ownerId: `${hostname()}/${process.pid}`,
+      lockStrategy: new AnnotationLock(),
+      ...options,
+    };
   }
   /**
    * Get latest version
    * @param {boolean} [throwOnNotFound]
    */
-  async getLatestVersion(throwOnNotFound) {
-    try {
-      const [version] = await this.client.getSecretVersion({ name: this.latestVersionName });
-      return version;
-    } catch (err) {
-      // @ts-ignore
-      if (!throwOnNotFound && err.code === RpcCodes.NOT_FOUND) {
-        return null;
-      }
+  getLatestVersion(throwOnNotFound) {
+    return this._runOperation(async () => {
+      try {
+        const [version] = await this.client.getSecretVersion({ name: this.latestVersionName }, this._getCallOptions());
+        return version;
+      } catch (err) {
+        // @ts-ignore
+        if (err.code !== RpcCodes.NOT_FOUND) throw err;
+        if (!throwOnNotFound) return null;
 
-      throw err;
-    }
+        throw await this._toNotFoundError(err);
+      }
+    });
   }
   /**
    * Get latest version secret data
    * @param {boolean} [throwOnNotFound]
    */
-  async getLatestData(throwOnNotFound) {
+  getLatestData(throwOnNotFound) {
+    return this._runOperation(async () => {
+      try {
+        const data = await this._accessLatestVersion();
+        return data;
+      } catch (err) {
+        // @ts-ignore
+        if (!throwOnNotFound && err.code === RpcCodes.NOT_FOUND) {
+          return null;
+        }
+        debug('failed to get latest data for %s', this.name, err);
+
+        // @ts-ignore
+        if (err.code === RpcCodes.NOT_FOUND) throw await this._toNotFoundError(err);
+
+        throw err;
+      }
+    }, 'ConcurrentSecret.getLatestData');
+  }
+  /**
+   * @internal Access version aliased by readAlias option, or latest version if option is not set or secret lacks alias
+   */
+  async _accessLatestVersion() {
+    const readAlias = this.options.readAlias;
+    if (readAlias) {
+      try {
+        return await this._accessSecretVersion(getSecretVersionName(this.name, readAlias));
+      } catch (err) {
+        // @ts-ignore
+        if (err.code !== RpcCodes.NOT_FOUND) throw err;
+        debug('secret %s lacks version alias %s, using latest version', this.name, readAlias);
+      }
+    }
+    return this._accessSecretVersion(this.latestVersionName);
+  }
+  /**
+   * @internal Map latest version not found error to secret not found or no versions error
+   * @param {unknown} err latest version not found gRPC error
+   * @returns {Promise<unknown>} SecretNotFoundError, NoVersionsError, or the original error if secret could not be read
+   */
+  async _toNotFoundError(err) {
     try {
-      const [data] = await this.client.accessSecretVersion({ name: this.latestVersionName }, this._getCallOptions());
-      return data;
-    } catch (err) {
+      await this.client.getSecret({ name: this.name }, this._getCallOptions());
+    } catch (secretErr) {
       // @ts-ignore
-      if (!throwOnNotFound && err.code === RpcCodes.NOT_FOUND) {
-        return null;
-      }
-      debug('failed to get latest data for %s', this.name, err);
-
-      throw err;
+      if (secretErr.code === RpcCodes.NOT_FOUND) return new SecretNotFoundError(`Secret ${this.name} not found`, err);
+      return err;
     }
+    return new NoVersionsError(`Secret ${this.name} has no enabled versions`, err);
+  }
+  /**
+   * Get latest version secret value, decoded with codec option if set
+   * @param {boolean} [throwOnNotFound]
+   * @returns {Promise<any>} decoded value, or buffer if codec option is not set, null if secret lacks versions
+   */
+  async getLatestValue(throwOnNotFound) {
+    const data = await this.getLatestData(throwOnNotFound);
+    if (!data) return null;
+    return this._decode(data.payload.data, data.name);
   }
   /**
-   * Update secret with new version. Destroy the previous version on successful update.
-   * @param {(...args: any) => Promise<string | Buffer>} fn get new secret function, call this function if a lock was acheieved
+   * Update secret with new version. Destroy the previous version on successful update, or apply retention option if set.
+   * If onContention option is set to wait the version added by the process holding the lock is returned.
+   * If coalesceUpdates option is true, concurrent calls for the same secret name within the process are coalesced, callers joining an in-flight update receive its result and their function is not called
+   * @template [T=string|Buffer]
+   * @param {(...args: any) => T|Promise<T>} fn get new secret function, call this function if a lock was acheieved, called with args followed by an update context, return value is encoded with codec option if set
    * @param  {...any} args optional arguments to function
-   * @returns {Promise<string | Buffer>} new secret version data
+   * @returns {Promise<T>} new secret version data
+   */
+  optimisticUpdate(fn, ...args) {
+    return this._optimisticUpdate(fn, args);
+  }
+  /**
+   * @internal Update secret with new version
+   * @template [T=string|Buffer]
+   * @param {(...args: any) => T|Promise<T>} fn get new secret function
+   * @param {any[]} args arguments to function
+   * @param {boolean} [onlyIfDue] only update if rotation is due according to the rotation schedule of the locked secret
+   * @returns {Promise<T|null>} new secret version data, or null if rotation is not due
    */
-  async optimisticUpdate(fn, ...args) {
-    const secret = await this.lock();
+  _optimisticUpdate(fn, args, onlyIfDue) {
+    const coalesceUpdates = this.options.coalesceUpdates;
+    const pendingUpdate = coalesceUpdates && pendingUpdates.get(this.name);
+    if (pendingUpdate) {
+      debug('joining in-flight update of %s', this.name);
+      return this._joinUpdate(pendingUpdate);
+    }
 
-    try {
-      // eslint-disable-next-line no-var
-      var secretData = await fn(...args);
+    const update = this._runUpdate(async () => {
+      const waitOnContention = this.options.onContention === 'wait';
+      const observedVersion = waitOnContention ? await this.getLatestVersion() : undefined;
 
-      const latestVersion = await this.getLatestVersion();
+      let secret;
+      try {
+        secret = await this.lock();
+      } catch (err) {
+        // @ts-ignore
+        if (!waitOnContention || err.code !== RpcCodes.FAILED_PRECONDITION) throw err;
+        return this._waitForConcurrentVersion(observedVersion, err);
+      }
 
-      const [newVersion] = await this.client.addSecretVersion(
-        {
-          parent: secret.name,
-          payload: { data: Buffer.from(secretData) },
-        },
-        this._getCallOptions()
-      );
+      try {
+        this._assertNoPendingRotation(secret);
+
+        if (onlyIfDue && !isRotationDue(secret, this.options.rotationPeriodMs)) {
+          debug('secret %s rotation is no longer due', this.name);
+          return null;
+        }
+
+        // eslint-disable-next-line no-var
+        var secretData = await this._callUpdateFunction(fn, args);
 
-      this.updatedVersionName = newVersion.name;
+        const latestVersion = await this.getLatestVersion();
 
-      if (latestVersion && latestVersion.state !== 'DESTROYED' && !latestVersion.scheduledDestroyTime) {
-        await this.client.destroySecretVersion({ name: latestVersion.name });
-        debug('secret version %s destroyed', latestVersion.name);
+        await this._validate(secretData, latestVersion);
+
+        await this._addVersion(secret.name, this._encode(secretData), latestVersion, undefined, { operation: 'update', args });
+      } catch (err) {
+        throw await this._unlockOnError(err);
+      } finally {
+        await this.unlock();
       }
 
-      const [updatedSecret] = await this._updateSecret({
-        name: secret.name,
-        etag: secret.etag,
-        annotations: {
-          ...secret.annotations,
-          updated_at: new Date().toISOString(),
-        },
-      });
+      return secretData;
+    }, 'ConcurrentSecret.optimisticUpdate');
 
-      this.secret = updatedSecret;
-    } finally {
-      await this.unlock();
-    }
+    if (!coalesceUpdates) return update;
+
+    pendingUpdates.set(this.name, { update, concurrentSecret: this });
 
+    return update.finally(() => pendingUpdates.delete(this.name));
+  }
+  /**
+   * @internal Wait for in-flight update started by another instance in the process
+   * @param {pendingUpdate} pendingUpdate
+   */
+  async _joinUpdate(pendingUpdate) {
+    const secretData = await pendingUpdate.update;
+    this.updatedVersionName = pendingUpdate.concurrentSecret.updatedVersionName;
+    this.updatedSecret = pendingUpdate.concurrentSecret.updatedSecret;
     return secretData;
   }
   /**
-   * Lock secret by updating it so that it rotates etag
-   * @returns locked secret
+   * Begin two-phase rotation by adding a new version that is aliased as pending, the current version is kept aliased as current.
+   * Complete rotation with commitRotation or abortRotation. The pending version is latest during rotation, readers must use readAlias option current
+   * @template [T=string|Buffer]
+   * @param {(...args: any) => T|Promise<T>} fn get new secret function, call this function if a lock was acheieved, called with args followed by an update context, return value is encoded with codec option if set
+   * @param  {...any} args optional arguments to function
+   * @returns {Promise<T>} pending secret version data
    */
-  async lock() {
-    if (this.secret) return this.secret;
+  beginRotation(fn, ...args) {
+    return this._runUpdate(async () => {
+      const secret = await this.lock();
 
-    const secret = await this._prepare();
+      try {
+        this._assertNoPendingRotation(secret);
 
-    // @ts-ignore
-    const lockedAt = new Date(secret.annotations?.locked_at);
+        const latestVersion = await this.getLatestVersion();
 
-    const now = new Date();
+        // eslint-disable-next-line no-var
+        var secretData = await this._callUpdateFunction(fn, args);
 
-    // @ts-ignore
-    if (!isNaN(lockedAt)) {
-      const gracePeriodEat = new Date(lockedAt.getTime() + this.options.gracePeriodMs);
-      if (now <= gracePeriodEat) {
-        throw new ConcurrentSecretError(`Secret is updated by another process since ${lockedAt.toISOString()}`, 9);
-      }
-    }
+        await this._validate(secretData, latestVersion);
 
-    const [lockedSecret] = await this._updateSecret({
-      name: secret.name,
-      etag: secret.etag,
-      annotations: {
-        ...secret.annotations,
-        locked_at: now.toJSON(),
-      },
-    });
+        const encodedData = this._encode(secretData);
+        const pendingVersion = await this._addSecretVersion(secret.name, encodedData);
 
-    this.secret = lockedSecret;
+        if (this.options.verify) await this._verifyVersion(pendingVersion.name, encodedData, getEnabledVersionName(latestVersion));
 
-    debug('secret %s locked with etag %s', lockedSecret.name, lockedSecret.etag);
+        this.updatedVersionName = pendingVersion.name;
 
-    return lockedSecret;
+        /** @type {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret['versionAliases']} */
+        const versionAliases = { ...this.secret.versionAliases, pending: getVersionNumber(pendingVersion.name) };
+        if (!versionAliases.current && latestVersion) {
+          versionAliases.current = getVersionNumber(latestVersion.name);
+        }
+
+        const [updatedSecret] = await this._updateSecret({
+          name: secret.name,
+          etag: this.secret.etag,
+          annotations: this.secret.annotations,
+          versionAliases,
+        });
+
+        this.secret = updatedSecret;
+
+        debug('secret %s rotation begun with pending version %s', secret.name, pendingVersion.name);
+      } catch (err) {
+        throw await this._unlockOnError(err);
+      } finally {
+        await this.unlock();
+      }
+
+      return secretData;
+    }, 'ConcurrentSecret.beginRotation');
   }
   /**
-   * Unlock secret
+   * Commit pending rotation by aliasing pending version as current. The previously current version is destroyed, or retention option is applied.
+   * @returns {Promise<string>} committed version name
    */
-  async unlock() {
-    if (!this.secret) return;
+  commitRotation() {
+    return this._runOperation(async () => {
+      const secret = await this.lock();
 
-    const secret = this.secret;
-    this.secret = undefined;
-    this.pendingSecret = undefined;
+      try {
+        const { pending, current, ...versionAliases } = this._getPendingRotationAliases(secret);
 
-    // @ts-ignore
-    const { locked_at, ...annotations } = secret.annotations;
+        const pendingVersionName = getSecretVersionName(secret.name, pending);
+        const currentVersionName = current ? getSecretVersionName(secret.name, current) : undefined;
 
-    const [updatedSecret] = await this._updateSecret({
-      name: secret.name,
-      etag: secret.etag,
-      annotations,
-    });
+        versionAliases.current = pending;
+        if (this.options.maintainAliases) delete versionAliases.previous;
 
-    this.secret = updatedSecret;
+        const [updatedSecret] = await this._updateSecret({
+          name: secret.name,
+          etag: secret.etag,
+          annotations: this._withAuditRecord(
+            {
+              ...secret.annotations,
+              updated_at: new Date().toISOString(),
+            },
+            {
+              operation: 'commitRotation',
+              args: [],
+              previousVersion: currentVersionName,
+              newVersion: pendingVersionName,
+            }
+          ),
+          versionAliases,
+        });
+
+        this.secret = updatedSecret;
+        this.updatedVersionName = pendingVersionName;
+
+        let retiredVersionKept = false;
+        if (this.options.retention) {
+          const keptVersionNames = await this._applyRetention(secret.name);
+          retiredVersionKept = !!currentVersionName && keptVersionNames.includes(currentVersionName);
+        } else if (currentVersionName) {
+          const [previousVersion] = await this.client.getSecretVersion({ name: currentVersionName }, this._getCallOptions());
+          if (previousVersion.state !== 'DESTROYED' && !previousVersion.scheduledDestroyTime) {
+            await this._destroySecretVersion(previousVersion.name);
+          }
+        }
+
+        // a destroyed version cannot be aliased, previous alias is only set if retention keeps the retired version
+        if (this.options.maintainAliases && retiredVersionKept) {
+          const [aliasedSecret] = await this._updateSecret({
+            name: secret.name,
+            etag: this.secret.etag,
+            versionAliases: { ...versionAliases, previous: current },
+          });
+          this.secret = aliasedSecret;
+        }
+
+        debug('secret %s rotation committed with version %s', secret.name, pendingVersionName);
 
-    debug('secret %s released with etag %s', updatedSecret.name, updatedSecret.etag);
+        return pendingVersionName;
+      } catch (err) {
+        throw await this._unlockOnError(err);
+      } finally {
+        await this.unlock();
+      }
+    }, 'ConcurrentSecret.commitRotation');
   }
   /**
-   * @internal Prepare optimistic update
+   * Abort pending rotation by disabling pending version. The disabled version would be latest, hence current version data
+   * is restored as a new version aliased as current, and the previously current version is destroyed, or retention option is applied
+   * @returns {Promise<string>} disabled version name
    */
-  _prepare() {
-    if (this.pendingSecret) return this.pendingSecret;
+  abortRotation() {
+    return this._runOperation(async () => {
+      const secret = await this.lock();
 
-    debug('preparing secret %s for update', this.name);
+      try {
+        const { pending, current, ...versionAliases } = this._getPendingRotationAliases(secret);
+
+        const pendingVersionName = getSecretVersionName(secret.name, pending);
+
+        await this._rejectVersion(pendingVersionName);
+        debug('secret version %s disabled', pendingVersionName);
+
+        const currentVersionName = current ? getSecretVersionName(secret.name, current) : undefined;
+        if (currentVersionName) {
+          const { payload } = await this._accessSecretVersion(currentVersionName);
+          const currentData = Buffer.from(payload.data);
+          const restoredVersion = await this._addSecretVersion(secret.name, currentData);
+
+          if (this.options.verify) await this._verifyVersion(restoredVersion.name, currentData, currentVersionName);
+
+          this.updatedVersionName = restoredVersion.name;
+          versionAliases.current = getVersionNumber(restoredVersion.name);
+
+          debug('secret %s current version %s restored as %s', secret.name, currentVersionName, restoredVersion.name);
+        }
 
-    this.pendingSecret = this.client.getSecret({ name: this.name }, this._getCallOptions()).then(([secret]) => secret);
-    return this.pendingSecret;
+        const [updatedSecret] = await this._updateSecret({
+          name: secret.name,
+          etag: this.secret.etag,
+          annotations: this.secret.annotations,
+          versionAliases,
+        });
+
+        this.secret = updatedSecret;
+
+        if (this.options.retention) {
+          await this._applyRetention(secret.name);
+        } else if (currentVersionName) {
+          await this._destroySecretVersion(currentVersionName);
+        }
+
+        debug('secret %s rotation aborted', secret.name);
+
+        return pendingVersionName;
+      } catch (err) {
+        throw await this._unlockOnError(err);
+      } finally {
+        await this.unlock();
+      }
+    }, 'ConcurrentSecret.abortRotation');
   }
   /**
-   * @internal Get gax call options
+   * @internal Get version aliases of secret with pending rotation
    * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+   * @returns {Record<string, number>}
    */
-  _updateSecret(secret) {
-    return this.client.updateSecret(
-      {
-        secret,
-        updateMask: {
-          paths: secret.annotations && ['annotations'],
-        },
-      },
-      this._getCallOptions()
-    );
+  _getPendingRotationAliases(secret) {
+    const versionAliases = Object.fromEntries(Object.entries(secret.versionAliases || {}).map(([alias, v]) => [alias, Number(v)]));
+    if (!versionAliases.pending) {
+      throw new ConcurrentSecretError(`Secret ${secret.name} has no pending rotation`, RpcCodes.FAILED_PRECONDITION);
+    }
+    return versionAliases;
   }
   /**
-   * @internal Get gax call options
-   * @returns {import('google-gax').CallOptions}
+   * @internal Throw if secret has a pending rotation, the pending version must be committed or aborted before the secret is updated
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
    */
-  _getCallOptions() {
-    if (typeof this.options.callOptions === 'function') {
-      return this.options.callOptions();
+  _assertNoPendingRotation(secret) {
+    if (secret.versionAliases?.pending) {
+      throw new ConcurrentSecretError(
+        `Secret ${secret.name} has a pending rotation, version ${secret.versionAliases.pending}`,
+        RpcCodes.FAILED_PRECONDITION
+      );
     }
-    // @ts-ignore
-    return { ...this.options.callOptions };
   }
-}
-
-export default ConcurrentSecret;
-
-export class CachedSecret extends ConcurrentSecret {
   /**
-   * @param {string} name
-   * @param {string} initialValue
-   * @param {cachedSecretOptions & concurrentSecretOptions} options
+   * Rollback to previous version by adding its data as a new version, the secret is locked in the same manner as optimistic update.
+   * A previous version that is disabled or scheduled for destruction is enabled, which cancels pending destruction. Versions rejected by abortRotation or verification are skipped.
+   * @returns {Promise<any>} restored secret version data, decoded with codec option if set
    */
-  constructor(name, initialValue, options) {
-    super(name, options?.client, options);
-
-    /**
-     * Secret value
-     * @type {string}
-     */
-    this.value = initialValue;
+  rollback() {
+    return this._runUpdate(async () => {
+      const secret = await this.lock();
 
-    /**
-     * Update secret value function
-     * @type {(...args: any) => Promise<string|Buffer>}
-     */
-    this.updateMethod = options?.updateMethod;
+      try {
+        this._assertNoPendingRotation(secret);
 
-    /**
-     * Current version name
-     * @type {string|undefined}
-     */
-    this.versionName = options?.versionName;
-  }
+        const latestVersion = await this.getLatestVersion(true);
+        const latestVersionNumber = getVersionNumber(latestVersion.name);
 
-  /**
-   * Use method to get new secret value, missing method fetches latest version data
-   * @param  {...any} args
-   * @returns {Promise<string>}
-   */
-  async update(...args) {
-    if (!this.updateMethod || !this.value) {
-      const secretData = await this.getLatestData(!this.updateMethod);
-      if (!secretData && this.updateMethod) {
-        return this._updateCachedSecret(...args);
-      }
+        const rejectedVersions = getRejectedVersions(secret.annotations);
+        const [versions] = await this.client.listSecretVersions({ parent: secret.name }, this._getCallOptions());
+        const [previousVersion] = versions
+          .filter(
+            (v) =>
+              v.state !== 'DESTROYED' &&
+              getVersionNumber(v.name) < latestVersionNumber &&
+              !rejectedVersions.includes(getVersionNumber(v.name))
+          )
+          .sort((a, b) => getVersionNumber(b.name) - getVersionNumber(a.name));
 
-      debug('cached secret %s lacks updateMethod, using latest version', this.name);
+        if (!previousVersion) {
+          throw new ConcurrentSecretError(`Secret ${secret.name} has no previous version to roll back to`, RpcCodes.NOT_FOUND);
+        }
 
-      this.versionName = secretData.name;
-      this.value = secretData.payload.data?.toString();
+        if (previousVersion.state !== 'ENABLED' || previousVersion.scheduledDestroyTime) {
+          await this.client.enableSecretVersion({ name: previousVersion.name }, this._getCallOptions());
+          debug('secret version %s enabled', previousVersion.name);
+        }
 
-      return this.value;
-    } else if (!this.versionName) {
-      debug('cached secret %s lacks secret version information', this.name);
-      const latestVersionData = await this.getLatestData();
-      if (!latestVersionData) {
-        debug('%s lacks versions, updating secret', this.name);
-        return this._updateCachedSecret(...args);
-      }
+        const previousData = await this._accessSecretVersion(previousVersion.name);
+        const secretData = Buffer.from(previousData.payload.data);
+        const secretValue = this._decode(secretData, previousVersion.name);
 
-      this.versionName = latestVersionData.name;
+        await this._addVersion(
+          secret.name,
+          secretData,
+          latestVersion,
+          {
+            rolled_back_at: new Date().toISOString(),
+            rolled_back_from: latestVersion.name,
+            rolled_back_to: previousVersion.name,
+          },
+          { operation: 'rollback', args: [] }
+        );
 
-      debug('%s last version is %s', this.name, latestVersionData.name);
+        debug('secret %s rolled back from %s to %s', secret.name, latestVersion.name, previousVersion.name);
 
-      if (Buffer.from(this.value).compare(Buffer.from(latestVersionData.payload.data)) !== 0) {
-        debug('latest version differs from cached value, using latest secret value');
-        this.value = latestVersionData.payload.data.toString();
-        return this.value;
+        return secretValue;
+      } catch (err) {
+        throw await this._unlockOnError(err);
+      } finally {
+        await this.unlock();
       }
+    }, 'ConcurrentSecret.rollback');
+  }
+  /**
+   * @internal Add new version to locked secret, retire previous version, and annotate secret as updated. Current alias is moved to the new version if maintainAliases option is set or secret has a current alias
+   * @param {string} parent secret name
+   * @param {string|Buffer} secretData new version data
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecretVersion} [latestVersion] version that is replaced
+   * @param {Record<string, string>} [annotations] additional secret annotations
+   * @param {{ operation: string, args: any[] }} [context] operation and update arguments, recorded in audit trail if audit option is set, rotation schedule is advanced on update
+   */
+  async _addVersion(parent, secretData, latestVersion, annotations, context) {
+    const newVersion = await this._addSecretVersion(parent, secretData);
 
-      return this._updateCachedSecret(...args);
+    if (this.options.verify) await this._verifyVersion(newVersion.name, secretData, getEnabledVersionName(latestVersion));
+
+    this.updatedVersionName = newVersion.name;
+
+    /** @type {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret['versionAliases']} */
+    let versionAliases;
+    if (this.options.maintainAliases) {
+      const { previous, ...aliases } = this.secret.versionAliases || {};
+      versionAliases = { ...aliases, current: getVersionNumber(newVersion.name) };
+    } else if (this.secret.versionAliases?.current) {
+      // readers of a secret once rotated in two phases read by current alias, move it to the new version
+      versionAliases = { ...this.secret.versionAliases, current: getVersionNumber(newVersion.name) };
     }
 
-    debug('cached secret %s has version %s, checking for new version before update', this.name, this.versionName);
+    // current alias is moved before the previous version is retired so that readers by alias never read a destroyed version
+    const [updatedSecret] = await this._updateSecret({
+      name: parent,
+      etag: this.secret.etag,
+      annotations: this._withAuditRecord(
+        {
+          ...this.secret.annotations,
+          ...annotations,
+          updated_at: new Date().toISOString(),
+        },
+        { ...context, previousVersion: latestVersion?.name, newVersion: newVersion.name }
+      ),
+      versionAliases,
+      rotation: context?.operation === 'update' ? this._getAdvancedRotation(this.secret) : undefined,
+      expireTime: context?.operation === 'update' ? this._getExtendedExpireTime(this.secret) : undefined,
+    });
 
-    const latestVersionData = await this.getLatestData();
+    this.secret = this.updatedSecret = updatedSecret;
 
-    if (latestVersionData.name > this.versionName) {
-      debug('a more recent version %s is present, using latest secret value', latestVersionData.name);
-      this.versionName = latestVersionData.name;
-      this.value = latestVersionData.payload.data.toString();
-      return this.value;
+    let retiredVersionKept = false;
+    if (this.options.retention) {
+      const keptVersionNames = await this._applyRetention(parent);
+      retiredVersionKept = !!latestVersion && keptVersionNames.includes(latestVersion.name);
+    } else if (latestVersion && latestVersion.state !== 'DESTROYED' && !latestVersion.scheduledDestroyTime) {
+      await this._destroySecretVersion(latestVersion.name);
     }
 
-    return this._updateCachedSecret(...args);
+    // a destroyed version cannot be aliased, previous alias is only set if retention keeps the retired version
+    if (this.options.maintainAliases && retiredVersionKept) {
+      const [aliasedSecret] = await this._updateSecret({
+        name: parent,
+        etag: this.secret.etag,
+        versionAliases: { ...versionAliases, previous: getVersionNumber(latestVersion.name) },
+      });
+      this.secret = this.updatedSecret = aliasedSecret;
+    }
   }
-
   /**
-   * Update cached secret value and version name
-   * @param  {...any} args
-   * @returns {Promise<string>}
+   * @internal Add audit record annotation if audit option is set, records beyond max entries are removed
+   * @param {Record<string, string>} annotations secret annotations
+   * @param {{ operation?: string, args?: any[], previousVersion?: string, newVersion: string }} audit
+   * @returns {Record<string, string>} annotations with audit record
    */
-  async _updateCachedSecret(...args) {
-    this.value = (await this.optimisticUpdate(this.updateMethod, ...args))?.toString();
+  _withAuditRecord(annotations, { operation = 'update', args = [], previousVersion, newVersion }) {
+    if (!this.options.audit) return annotations;
+
+    const { maxEntries = 10, reason } = this.options.audit === true ? {} : this.options.audit;
+    const rotation = (Number(annotations.rotation_count) || 0) + 1;
+
+    /** @type {Record<string, string>} */
+    const auditedAnnotations = {};
+    for (const [key, value] of Object.entries(annotations)) {
+      const auditKey = key.match(AUDIT_ANNOTATION_PATTERN);
+      if (auditKey && Number(auditKey[1]) <= rotation - maxEntries) continue;
+      auditedAnnotations[key] = value;
+    }
+
+    auditedAnnotations.rotation_count = rotation.toString();
+    auditedAnnotations[`rotation_${rotation}`] = JSON.stringify({
+      rotatedAt: new Date().toISOString(),
+      rotatedBy: this.options.ownerId,
+      reason: typeof reason === 'function' ? reason(...args) : reason,
+      operation,
+      previousVersion,
+      newVersion,
+    });
+
+    return auditedAnnotations;
+  }
+  /**
+   * Check if secret rotation is due according to secret rotation schedule
+   * @returns {Promise<boolean>} true if next rotation time has passed, or rotation period has passed since last update
+   */
+  isRotationDue() {
+    return this._runOperation(async () => {
+      const [secret] = await this.client.getSecret({ name: this.name }, this._getCallOptions());
+      return isRotationDue(secret, this.options.rotationPeriodMs);
+    }, 'ConcurrentSecret.isRotationDue');
+  }
+  /**
+   * Update secret with new version if rotation is due according to secret rotation schedule, otherwise no-op.
+   * The rotation schedule is checked again on the locked secret, a concurrent rotation that completed before the lock makes this a no-op
+   * @template [T=string|Buffer]
+   * @param {(...args: any) => T|Promise<T>} fn get new secret function, called if rotation is due and a lock was acheieved, called with args followed by an update context
+   * @param  {...any} args optional arguments to function
+   * @returns {Promise<T|null>} new secret version data, or null if rotation is not due
+   */
+  rotateIfDue(fn, ...args) {
+    return this._runOperation(async () => {
+      const secret = await this._prepare();
+      if (!isRotationDue(secret, this.options.rotationPeriodMs)) {
+        debug('secret %s rotation is not due', this.name);
+        this.pendingSecret = undefined;
+        return null;
+      }
+
+      return this._optimisticUpdate(fn, args, true);
+    }, 'ConcurrentSecret.rotateIfDue');
+  }
+  /**
+   * @internal Get next rotation time advanced by rotation period if rotation is due.
+   * Rotation period is input only and is not returned by Secret Manager, hence the rotationPeriodMs option.
+   * Next rotation time that is not due is kept, e.g. advanced by Secret Manager when publishing SECRET_ROTATE
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+   * @returns {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.IRotation|undefined} rotation with advanced next rotation time, or undefined if next rotation time is kept
+   */
+  _getAdvancedRotation(secret) {
+    const rotation = secret.rotation;
+    const periodMs = this.options.rotationPeriodMs ?? durationToMs(rotation?.rotationPeriod);
+    if (!rotation?.nextRotationTime || !periodMs) return undefined;
+
+    const now = Date.now();
+    const nextRotationMs = timestampToDate(rotation.nextRotationTime).getTime();
+    if (nextRotationMs > now) {
+      debug('secret %s next rotation time is not due, keeping it', secret.name);
+      return undefined;
+    }
+
+    const advancedMs = nextRotationMs + periodMs > now ? nextRotationMs + periodMs : now + periodMs;
+    // Secret Manager rejects next rotation time less than five minutes from now
+    const nextRotationTime = new Date(Math.max(advancedMs, now + MIN_NEXT_ROTATION_DELAY_MS));
+
+    debug('secret %s next rotation time advanced to %s', secret.name, nextRotationTime.toISOString());
+
+    return { nextRotationTime: dateToTimestamp(nextRotationTime) };
+  }
+  /**
+   * @internal Get expire time extended by extendExpiryMs option
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+   * @returns {import('@google-cloud/secret-manager').protos.google.protobuf.ITimestamp|undefined} extended expire time, or undefined if option is not set, secret does not expire, or secret expires later
+   */
+  _getExtendedExpireTime(secret) {
+    if (!this.options.extendExpiryMs || !secret.expireTime) return undefined;
+
+    const expireTime = new Date(Date.now() + this.options.extendExpiryMs);
+    if (expireTime <= timestampToDate(secret.expireTime)) return undefined;
+
+    debug('secret %s expire time extended to %s', secret.name, expireTime.toISOString());
+
+    return dateToTimestamp(expireTime);
+  }
+  /**
+   * Get rotation history from audit trail annotations, most recent rotation first
+   * @returns {Promise<rotationHistoryEntry[]>}
+   */
+  getRotationHistory() {
+    return this._runOperation(async () => {
+      const [secret] = await this.client.getSecret({ name: this.name }, this._getCallOptions());
+
+      /** @type {rotationHistoryEntry[]} */
+      const history = [];
+      for (const [key, value] of Object.entries(secret.annotations || {})) {
+        const auditKey = key.match(AUDIT_ANNOTATION_PATTERN);
+        if (!auditKey) continue;
+
+        try {
+          const { rotatedAt, ...record } = JSON.parse(value);
+          history.push({ ...record, rotation: Number(auditKey[1]), rotatedAt: new Date(rotatedAt) });
+        } catch (err) {
+          debug('secret %s has malformed audit record %s', this.name, key, err);
+        }
+      }
+
+      return history.sort((a, b) => b.rotation - a.rotation);
+    });
+  }
+  /**
+   * @internal Validate new secret data with validate option function before it is added as a new version
+   * @param {any} secretData new secret data, or value if codec option is set
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecretVersion} [latestVersion] latest version, passed to validate function as previous value if enabled
+   */
+  async _validate(secretData, latestVersion) {
+    if (!this.options.validate) return;
+
+    let previousValue = null;
+    if (latestVersion?.state === 'ENABLED') {
+      const previousData = await this._accessSecretVersion(latestVersion.name);
+      previousValue = this._decode(previousData.payload.data, previousData.name);
+    }
+
+    try {
+      // eslint-disable-next-line no-var
+      var valid = await this.options.validate(secretData, previousValue);
+    } catch (err) {
+      // @ts-ignore
+      throw new SecretValidationError(`New value of secret ${this.name} failed validation: ${err.message}`, err);
+    }
+
+    if (valid === false) {
+      throw new SecretValidationError(`New value of secret ${this.name} failed validation`);
+    }
+  }
+  /**
+   * @internal Verify added version by reading it back, the version is disabled if data differs. The disabled version would be latest,
+   * hence restore version data is added as a new version and the restore version is destroyed, or retention option is applied
+   * @param {string} versionName added version name
+   * @param {string|Buffer} secretData written secret data
+   * @param {string} [restoreVersionName] version to restore if verification fails
+   */
+  async _verifyVersion(versionName, secretData, restoreVersionName) {
+    const data = await this._accessSecretVersion(versionName);
+
+    if (data.payload?.data && Buffer.from(secretData).equals(Buffer.from(data.payload.data))) return;
+
+    await this._rejectVersion(versionName);
+
+    debug('secret version %s failed verification and was disabled', versionName);
+
+    if (restoreVersionName) {
+      const parent = versionName.split('/versions/')[0];
+      const { payload } = await this._accessSecretVersion(restoreVersionName);
+      const restoredVersion = await this._addSecretVersion(parent, Buffer.from(payload.data));
+
+      debug('secret version %s restored as %s', restoreVersionName, restoredVersion.name);
+
+      // readers by current alias are moved to the restored version before the version it was restored from is retired
+      const versionAliases = this.secret.versionAliases;
+      if (Number(versionAliases?.current) === getVersionNumber(restoreVersionName)) {
+        const [updatedSecret] = await this._updateSecret({
+          name: parent,
+          etag: this.secret.etag,
+          versionAliases: { ...versionAliases, current: getVersionNumber(restoredVersion.name) },
+        });
+        this.secret = updatedSecret;
+      }
+
+      await this._retireVersion(parent, restoreVersionName);
+    }
+
+    throw new SecretValidationError(`Secret version ${versionName} failed verification, version is disabled`);
+  }
+  /**
+   * @internal Disable rejected version of locked secret and record it in rejected_versions annotation, rollback never restores a rejected version
+   * @param {string} versionName rejected version name
+   */
+  async _rejectVersion(versionName) {
+    await this.client.disableSecretVersion({ name: versionName }, this._getCallOptions());
+
+    const rejectedVersions = getRejectedVersions(this.secret.annotations);
+    const [updatedSecret] = await this._updateSecret({
+      name: this.secret.name,
+      etag: this.secret.etag,
+      annotations: {
+        ...this.secret.annotations,
+        rejected_versions: [...rejectedVersions, getVersionNumber(versionName)].join(','),
+      },
+    });
+
+    this.secret = updatedSecret;
+  }
+  /**
+   * @internal Retire replaced version, destroy it or apply retention option
+   * @param {string} parent secret name
+   * @param {string} versionName replaced version name
+   */
+  async _retireVersion(parent, versionName) {
+    if (this.options.retention) {
+      await this._applyRetention(parent);
+    } else {
+      await this._destroySecretVersion(versionName);
+    }
+  }
+  /**
+   * @internal Add secret version with payload checksum
+   * @param {string} parent secret name
+   * @param {string|Buffer} secretData version data
+   */
+  async _addSecretVersion(parent, secretData) {
+    const data = Buffer.from(secretData);
+    const [version] = await this.client.addSecretVersion(
+      {
+        parent,
+        payload: { data, dataCrc32c: crc32c(data) },
+      },
+      this._getCallOptions()
+    );
+    getInstruments().rotations.add(1, { 'secret.name': this.name });
+    this.emit('versionAdded', { name: this.name, versionName: version.name, etag: version.etag });
+    return version;
+  }
+  /**
+   * @internal Destroy secret version
+   * @param {string} versionName secret version name
+   */
+  async _destroySecretVersion(versionName) {
+    const [version] = await this.client.destroySecretVersion({ name: versionName }, this._getCallOptions());
+    debug('secret version %s destroyed', versionName);
+    this.emit('versionDestroyed', { name: this.name, versionName, etag: version.etag });
+  }
+  /**
+   * @internal Access secret version and verify payload checksum if returned
+   * @param {string} name secret version name
+   */
+  async _accessSecretVersion(name) {
+    const [data] = await this.client.accessSecretVersion({ name }, this._getCallOptions());
+
+    const dataCrc32c = data.payload?.dataCrc32c;
+    if (dataCrc32c !== null && dataCrc32c !== undefined && Number(dataCrc32c.toString()) !== crc32c(data.payload.data ?? '')) {
+      throw new SecretIntegrityError(`Secret version ${data.name} payload checksum mismatch`);
+    }
+
+    return data;
+  }
+  /**
+   * @internal Encode secret value with codec option
+   * @param {any} value
+   * @returns {string|Buffer} secret data
+   */
+  _encode(value) {
+    const codec = this.options.codec === 'json' ? JSON_CODEC : this.options.codec;
+    return codec ? codec.encode(value) : value;
+  }
+  /**
+   * @internal Decode secret data with codec option
+   * @param {string|Uint8Array} data secret version payload data
+   * @param {string} versionName secret version name
+   * @returns {any} decoded value, or buffer if codec option is not set
+   */
+  _decode(data, versionName) {
+    const codec = this.options.codec === 'json' ? JSON_CODEC : this.options.codec;
+    if (!codec) return Buffer.from(data);
+
+    try {
+      return codec.decode(Buffer.from(data));
+    } catch (err) {
+      // @ts-ignore
+      throw new SecretDecodeError(`Secret version ${versionName} could not be decoded: ${err.message}`, err);
+    }
+  }
+  /**
+   * @internal Call update function with update context while lock is renewed
+   * @template T
+   * @param {(...args: any) => T|Promise<T>} fn get new secret function
+   * @param {any[]} args arguments to function
+   * @returns {Promise<T>} new secret data
+   */
+  async _callUpdateFunction(fn, args) {
+    const controller = new AbortController();
+    const stopHeartbeat = this._startHeartbeat(controller);
+    const operationSignal = this._getOperation().signal;
+    const signal = operationSignal ? AbortSignal.any([controller.signal, operationSignal]) : controller.signal;
+
+    try {
+      // eslint-disable-next-line no-var
+      var secretData = await fn(...args, { signal, fencingToken: this.fencingToken });
+    } catch (err) {
+      if (signal.aborted && err === signal.reason) throw err;
+      // @ts-ignore
+      throw new UpdateFunctionError(`Update function of secret ${this.name} failed: ${err?.message}`, err);
+    } finally {
+      await stopHeartbeat();
+    }
+
+    signal.throwIfAborted();
+
+    return secretData;
+  }
+  /**
+   * @internal Apply version retention policy, keep the most recent versions enabled, disable older, and destroy the oldest
+   * @param {string} parent secret name
+   * @returns {Promise<string[]>} names of kept versions
+   */
+  async _applyRetention(parent) {
+    const { keepEnabled = 1, keepVersions = keepEnabled } = this.options.retention;
+
+    const [versions] = await this.client.listSecretVersions({ parent }, this._getCallOptions());
+
+    const retainedVersions = versions
+      .filter((v) => v.state !== 'DESTROYED' && !v.scheduledDestroyTime)
+      .sort((a, b) => getVersionNumber(b.name) - getVersionNumber(a.name));
+
+    for (const [idx, version] of retainedVersions.entries()) {
+      if (idx >= keepVersions) {
+        await this._destroySecretVersion(version.name);
+      } else if (idx >= keepEnabled && version.state === 'ENABLED') {
+        await this.client.disableSecretVersion({ name: version.name }, this._getCallOptions());
+        debug('secret version %s disabled', version.name);
+      }
+    }
+
+    return retainedVersions.slice(0, keepVersions).map((v) => v.name);
+  }
+  /**
+   * Lock secret with lock strategy, the default strategy updates secret annotations so that it rotates etag, retries according to retry option if lock is contended
+   * @returns locked secret
+   */
+  lock() {
+    return this._runOperation(async () => {
+      if (this.secret) return this.secret;
+
+      const { maxAttempts, deadlineMs } = { ...DEFAULT_RETRY_OPTIONS, ...this.options.retry };
+      const startedAt = Date.now();
+      const deadline = startedAt + deadlineMs;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const secret = await this._acquireLock();
+
+          this.lockedAt = Date.now();
+          getInstruments().lockDuration.record(this.lockedAt - startedAt, { 'secret.name': this.name });
+          this.emit('locked', {
+            name: this.name,
+            etag: secret.etag,
+            fencingToken: this.fencingToken,
+            attempts: attempt,
+            durationMs: this.lockedAt - startedAt,
+          });
+
+          return secret;
+        } catch (err) {
+          // @ts-ignore
+          if (err.code === RpcCodes.NOT_FOUND && !(err instanceof ConcurrentSecretError)) {
+            throw new SecretNotFoundError(`Secret ${this.name} not found`, err);
+          }
+          // @ts-ignore
+          if (err.code !== RpcCodes.FAILED_PRECONDITION) throw err;
+
+          getInstruments().lockContentions.add(1, { 'secret.name': this.name });
+          this.emit('lockContended', { name: this.name, attempt, error: err });
+
+          if (attempt >= maxAttempts) throw err;
+
+          const delay = this._getRetryDelay(attempt);
+          if (Date.now() + delay > deadline) {
+            debug('lock %s retry deadline exceeded after %d attempts', this.name, attempt);
+            throw err;
+          }
+
+          debug('lock %s attempt %d failed, retrying in %dms', this.name, attempt, delay);
+
+          this.pendingSecret = undefined;
+          await sleep(delay, undefined, { signal: this._getOperation().signal });
+        }
+      }
+    }, 'ConcurrentSecret.lock');
+  }
+  /**
+   * @internal Acquire lock with lock strategy
+   */
+  async _acquireLock() {
+    const { secret, fencingToken, handle } = await this.options.lockStrategy.acquire(this);
+
+    this.secret = secret;
+    this.fencingToken = fencingToken;
+    this.lockHandle = handle;
+
+    return secret;
+  }
+  /**
+   * @internal Periodically renew lock while update function is running
+   * @param {AbortController} controller aborted if lock is taken by another process
+   * @returns {() => Promise<void>} stop heartbeat, resolves when pending renewal is completed
+   */
+  _startHeartbeat(controller) {
+    const heartbeatIntervalMs = this.options.heartbeatIntervalMs;
+    if (!heartbeatIntervalMs) return () => Promise.resolve();
+
+    /** @type {Promise<void>} */
+    let pendingRenewal = Promise.resolve();
+
+    const timer = setInterval(() => {
+      pendingRenewal = pendingRenewal
+        .then(() => this._renewLock())
+        .catch((err) => {
+          if (err.code !== RpcCodes.FAILED_PRECONDITION) {
+            debug('failed to renew lock of %s, retrying on next heartbeat', this.name, err);
+            return;
+          }
+
+          debug('lock of %s was taken by another process', this.name);
+
+          clearInterval(timer);
+          this.secret = undefined;
+          this.pendingSecret = undefined;
+
+          controller.abort(
+            new ConcurrentSecretError(`Lock on secret ${this.name} was lost to another process`, RpcCodes.FAILED_PRECONDITION)
+          );
+        });
+    }, heartbeatIntervalMs);
+
+    return () => {
+      clearInterval(timer);
+      return pendingRenewal;
+    };
+  }
+  /**
+   * @internal Renew lock with lock strategy
+   */
+  async _renewLock() {
+    if (!this.secret) return;
+
+    const { secret, handle } = await this.options.lockStrategy.renew(this);
+
+    this.secret = secret;
+    this.lockHandle = handle;
+  }
+  /**
+   * Unlock secret, refuses to release a lock that is not owned by this instance.
+   * Ignores abort signal and timeout so that the lock is released when an operation is aborted
+   */
+  unlock() {
+    return operationStorage.run({ concurrentSecret: this }, () =>
+      withSpan('ConcurrentSecret.unlock', { 'secret.name': this.name }, () => this._releaseLock())
+    );
+  }
+  /**
+   * @internal Unlock after failed update so that an unlock failure does not mask the update failure
+   * @param {unknown} err update failure
+   * @returns {Promise<unknown>} update failure, or an AggregateError with update and unlock failures and update failure as cause
+   */
+  async _unlockOnError(err) {
+    try {
+      await this.unlock();
+      return err;
+    } catch (unlockErr) {
+      debug('failed to unlock %s after failed update', this.name, unlockErr);
+      return new AggregateError(
+        [err, unlockErr],
+        // @ts-ignore
+        `Update of secret ${this.name} failed with "${err?.message}" and unlock failed with "${unlockErr.message}"`,
+        { cause: err }
+      );
+    }
+  }
+  /**
+   * @internal Release lock with lock strategy
+   */
+  async _releaseLock() {
+    if (!this.secret) return;
+
+    try {
+      // eslint-disable-next-line no-var
+      var etag = await this.options.lockStrategy.release(this);
+    } finally {
+      this.secret = undefined;
+      this.pendingSecret = undefined;
+      this.lockHandle = undefined;
+    }
+
+    this.emit('unlocked', {
+      name: this.name,
+      etag,
+      fencingToken: this.fencingToken,
+      durationMs: this.lockedAt ? Date.now() - this.lockedAt : undefined,
+    });
+    this.lockedAt = undefined;
+  }
+  /**
+   * Get current lock information from lock strategy
+   * @returns {Promise<lockInfo>}
+   */
+  getLockInfo() {
+    return this._runOperation(() => this.options.lockStrategy.getLockInfo(this));
+  }
+  /**
+   * Force release lock regardless of owner, e.g. when lock holder died during update
+   * @param {forceUnlockOptions} [options]
+   * @returns {Promise<boolean>} true if lock was released
+   */
+  forceUnlock(options) {
+    return this._runOperation(async () => {
+      const released = await this.options.lockStrategy.forceUnlock(this, options);
+
+      if (released) {
+        this.secret = undefined;
+        this.pendingSecret = undefined;
+        this.lockHandle = undefined;
+      }
+
+      return released;
+    }, 'ConcurrentSecret.forceUnlock');
+  }
+  /**
+   * @internal Wait for the process holding the lock to add a new version
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecretVersion} observedVersion latest version before lock attempt
+   * @param {unknown} lockError lock error, thrown if no new version appears within grace period
+   * @returns {Promise<any>} new version secret data, decoded with codec option if set
+   */
+  async _waitForConcurrentVersion(observedVersion, lockError) {
+    this.pendingSecret = undefined;
+
+    const { expiresAt } = await this.getLockInfo();
+    const gracePeriodEat = expiresAt ? expiresAt.getTime() : Date.now() + this.options.gracePeriodMs;
+    const observedVersionNumber = observedVersion ? getVersionNumber(observedVersion.name) : 0;
+
+    debug('secret %s is locked, waiting for a version newer than %s', this.name, observedVersion?.name);
+
+    while (Date.now() <= gracePeriodEat) {
+      await sleep(this.options.pollIntervalMs, undefined, { signal: this._getOperation().signal });
+
+      const latestVersion = await this.getLatestVersion();
+      if (latestVersion && getVersionNumber(latestVersion.name) > observedVersionNumber) {
+        const data = await this._accessSecretVersion(latestVersion.name);
+
+        debug('secret %s got concurrent version %s', this.name, data.name);
+
+        const secretValue = this._decode(data.payload.data, data.name);
+        this.updatedVersionName = data.name;
+        return secretValue;
+      }
+    }
+
+    debug('no new version of secret %s appeared within grace period', this.name);
+
+    throw lockError;
+  }
+  /**
+   * @internal Get exponential backoff delay for lock attempt
+   * @param {number} attempt failed attempt number, starting at 1
+   * @returns {number} delay in milliseconds
+   */
+  _getRetryDelay(attempt) {
+    const { minDelayMs, maxDelayMs, factor, jitter } = { ...DEFAULT_RETRY_OPTIONS, ...this.options.retry };
+    const delay = Math.min(maxDelayMs, minDelayMs * factor ** (attempt - 1));
+    return Math.round(jitter ? delay / 2 + Math.random() * (delay / 2) : delay);
+  }
+  /**
+   * @internal Prepare optimistic update
+   */
+  _prepare() {
+    if (this.pendingSecret) return this.pendingSecret;
+
+    debug('preparing secret %s for update', this.name);
+
+    // a failed read is not kept, the next call reads the secret again
+    const pendingSecret = this._getSecret().catch((err) => {
+      if (this.pendingSecret === pendingSecret) this.pendingSecret = undefined;
+      throw err;
+    });
+    this.pendingSecret = pendingSecret;
+    return pendingSecret;
+  }
+  /**
+   * @internal Get secret, creates secret if missing and createIfMissing option is set
+   */
+  async _getSecret() {
+    try {
+      const [secret] = await this.client.getSecret({ name: this.name }, this._getCallOptions());
+      return secret;
+    } catch (err) {
+      // @ts-ignore
+      if (!this.options.createIfMissing || err.code !== RpcCodes.NOT_FOUND) throw err;
+      return this._createSecret();
+    }
+  }
+  /**
+   * @internal Create secret with createIfMissing option configuration, reads secret if it was created by another process
+   */
+  async _createSecret() {
+    const { createIfMissing } = this.options;
+    const { parent, secretId } = parseSecretName(this.name);
+
+    try {
+      const [secret] = await this.client.createSecret(
+        {
+          parent,
+          secretId,
+          secret: { ...getDefaultSecretConfig(this.name), ...(typeof createIfMissing === 'object' ? createIfMissing : undefined) },
+        },
+        this._getCallOptions()
+      );
+
+      debug('secret %s created', secret.name);
+
+      return secret;
+    } catch (err) {
+      // @ts-ignore
+      if (err.code !== RpcCodes.ALREADY_EXISTS) throw err;
+
+      debug('secret %s was created by another process', this.name);
+
+      const [secret] = await this.client.getSecret({ name: this.name }, this._getCallOptions());
+      return secret;
+    }
+  }
+  /**
+   * @internal Update secret annotations, version aliases, rotation, and expire time, conditional on etag
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+   */
+  async _updateSecret(secret) {
+    const paths = [];
+    if (secret.annotations) paths.push('annotations');
+    if (secret.versionAliases) paths.push('version_aliases');
+    // only next rotation time is updated, rotation period is input only and unknown
+    if (secret.rotation) paths.push('rotation.next_rotation_time');
+    if (secret.expireTime) paths.push('expire_time');
+
+    try {
+      return await this.client.updateSecret(
+        {
+          secret,
+          updateMask: { paths },
+        },
+        this._getCallOptions()
+      );
+    } catch (err) {
+      // @ts-ignore
+      if (err.code !== RpcCodes.FAILED_PRECONDITION) throw err;
+      throw new EtagConflictError(`Secret ${secret.name} etag has changed`, err);
+    }
+  }
+  /**
+   * Run function as one operation with its own abort signal and deadline, calls made by the function on this instance share the operation.
+   * The signal is combined with the signal option, and timeoutMs is used ahead of the timeoutMs option
+   * @template T
+   * @param {operationOptions} operationOptions per operation signal and timeout
+   * @param {() => T|Promise<T>} fn function that calls instance methods, e.g. () => concurrentSecret.optimisticUpdate(getNewSecret)
+   * @returns {Promise<T>}
+   */
+  withOperation(operationOptions, fn) {
+    return operationStorage.run(this._createOperation(operationOptions), async () => await fn());
+  }
+  /**
+   * @internal Run operation with abort signal and deadline, nested operations share the outermost operation
+   * @template T
+   * @param {() => Promise<T>} operation
+   * @param {string} [spanName] run operation in an OpenTelemetry span with this name
+   * @returns {Promise<T>}
+   */
+  _runOperation(operation, spanName) {
+    const tracedOperation = spanName ? () => withSpan(spanName, { 'secret.name': this.name }, operation) : operation;
+    if (operationStorage.getStore()?.concurrentSecret === this) return tracedOperation();
+    return operationStorage.run(this._createOperation(), tracedOperation);
+  }
+  /**
+   * @internal Run update operation, emits updateFailed if update fails
+   * @template T
+   * @param {() => Promise<T>} update
+   * @param {string} [spanName] run update in an OpenTelemetry span with this name
+   * @returns {Promise<T>}
+   */
+  _runUpdate(update, spanName) {
+    return this._runOperation(async () => {
+      const startedAt = Date.now();
+      try {
+        return await update();
+      } catch (err) {
+        this.emit('updateFailed', { name: this.name, error: err, durationMs: Date.now() - startedAt });
+        throw err;
+      }
+    }, spanName);
+  }
+  /**
+   * @internal Get current operation context, creates a new one if called outside of an operation
+   * @returns {operationContext}
+   */
+  _getOperation() {
+    const operation = operationStorage.getStore();
+    if (operation?.concurrentSecret === this) return operation;
+    return this._createOperation();
+  }
+  /**
+   * @internal Create operation context from per operation options and signal and timeout options
+   * @param {operationOptions} [operationOptions] per operation signal, combined with signal option, and timeout, used ahead of timeoutMs option
+   * @returns {operationContext}
+   */
+  _createOperation(operationOptions) {
+    const timeoutMs = operationOptions?.timeoutMs ?? this.options.timeoutMs;
+    const signals = [this.options.signal, operationOptions?.signal].filter(Boolean);
+    if (timeoutMs) signals.push(AbortSignal.timeout(timeoutMs));
+
+    return {
+      concurrentSecret: this,
+      signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0],
+      deadline: timeoutMs ? Date.now() + timeoutMs : undefined,
+    };
+  }
+  /**
+   * @internal Get gax call options, throws if operation is aborted, cancels the call if operation is aborted while in flight, and limits call timeout to operation deadline
+   * @returns {import('google-gax').CallOptions}
+   */
+  _getCallOptions() {
+    const { signal, deadline } = this._getOperation();
+    signal?.throwIfAborted();
+
+    /** @type {import('google-gax').CallOptions} */
+    const callOptions =
+      // @ts-ignore
+      typeof this.options.callOptions === 'function' ? { ...this.options.callOptions() } : { ...this.options.callOptions };
+
+    if (deadline) {
+      const remainingMs = Math.max(1, deadline - Date.now());
+      callOptions.timeout = callOptions.timeout ? Math.min(callOptions.timeout, remainingMs) : remainingMs;
+    }
+
+    if (signal) {
+      // gax passes other args options on to the gRPC call
+      const grpcOptions = callOptions.otherArgs?.options;
+      callOptions.otherArgs = {
+        ...callOptions.otherArgs,
+        options: { ...grpcOptions, interceptors: [createAbortInterceptor(signal), ...(grpcOptions?.interceptors ?? [])] },
+      };
+    }
+
+    return callOptions;
+  }
+}
+
+export default ConcurrentSecret;
+
+export class CachedSecret extends ConcurrentSecret {
+  /**
+   * @param {string} name
+   * @param {any} initialValue string, or decoded value if codec option is set
+   * @param {cachedSecretOptions & concurrentSecretOptions} options
+   */
+  constructor(name, initialValue, options) {
+    super(name, options?.client, options);
+
+    /**
+     * Secret value, string or decoded value if codec option is set
+     * @type {any}
+     */
+    this.value = initialValue;
+
+    /**
+     * Update secret value function
+     * @type {(...args: any) => Promise<any>}
+     */
+    this.updateMethod = options?.updateMethod;
+
+    /**
+     * Current version name
+     * @type {string|undefined}
+     */
+    this.versionName = options?.versionName;
+
+    /**
+     * Secret expire time, undefined if secret does not expire or expire time is unknown
+     * @type {Date|undefined}
+     */
+    this.expireTime = options?.expireTime;
+
+    /**
+     * Read secret expire time on every update, requires secretmanager.secrets.get permission
+     * @type {boolean}
+     */
+    this.readExpireTime = !!options?.readExpireTime;
+  }
+  /**
+   * Secret has expired
+   */
+  get expired() {
+    return !!this.expireTime && this.expireTime.getTime() <= Date.now();
+  }
+
+  /**
+   * Use method to get new secret value, missing method fetches latest version data
+   * @param  {...any} args
+   * @returns {Promise<any>} string, or decoded value if codec option is set
+   */
+  update(...args) {
+    return this._runOperation(async () => {
+      const value = await this._updateValue(...args);
+      if (this.readExpireTime) await this._updateExpireTime();
+      return value;
+    });
+  }
+
+  /**
+   * @internal Get new secret value from update method or latest version
+   * @param  {...any} args
+   * @returns {Promise<any>}
+   */
+  async _updateValue(...args) {
+    if (!this.updateMethod || !this.value) {
+      const secretData = await this.getLatestData(!this.updateMethod);
+      if (!secretData && this.updateMethod) {
+        return this._updateCachedSecret(...args);
+      }
+
+      debug('cached secret %s lacks updateMethod, using latest version', this.name);
+
+      this.value = this._toValue(secretData.payload.data, secretData.name);
+      this.versionName = secretData.name;
+
+      return this.value;
+    } else if (!this.versionName) {
+      debug('cached secret %s lacks secret version information', this.name);
+      const latestVersionData = await this.getLatestData();
+      if (!latestVersionData) {
+        debug('%s lacks versions, updating secret', this.name);
+        return this._updateCachedSecret(...args);
+      }
+
+      this.versionName = latestVersionData.name;
+
+      debug('%s last version is %s', this.name, latestVersionData.name);
+
+      if (Buffer.from(this._encode(this.value)).compare(Buffer.from(latestVersionData.payload.data)) !== 0) {
+        debug('latest version differs from cached value, using latest secret value');
+        this.value = this._toValue(latestVersionData.payload.data, latestVersionData.name);
+        return this.value;
+      }
+
+      return this._updateCachedSecret(...args);
+    }
+
+    debug('cached secret %s has version %s, checking for new version before update', this.name, this.versionName);
+
+    const latestVersionData = await this.getLatestData(true);
+
+    if (latestVersionData.name > this.versionName) {
+      debug('a more recent version %s is present, using latest secret value', latestVersionData.name);
+      this.value = this._toValue(latestVersionData.payload.data, latestVersionData.name);
+      this.versionName = latestVersionData.name;
+      return this.value;
+    }
+
+    return this._updateCachedSecret(...args);
+  }
+
+  /**
+   * @internal Read expire time from secret, expire time is unknown if permission to get secret is denied
+   */
+  async _updateExpireTime() {
+    try {
+      const [secret] = await this.client.getSecret({ name: this.name }, this._getCallOptions());
+      this._setExpireTime(secret);
+    } catch (err) {
+      // @ts-ignore
+      if (err.code !== RpcCodes.PERMISSION_DENIED) throw err;
+      debug('permission to get secret %s denied, expire time is unknown', this.name);
+      this.expireTime = undefined;
+    }
+  }
+
+  /**
+   * @internal Set expire time from secret
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+   */
+  _setExpireTime(secret) {
+    this.expireTime = secret.expireTime ? timestampToDate(secret.expireTime) : undefined;
+  }
+
+  /**
+   * Update cached secret value and version name
+   * @param  {...any} args
+   * @returns {Promise<any>}
+   */
+  async _updateCachedSecret(...args) {
+    const secretData = await this.optimisticUpdate(this.updateMethod, ...args);
+    this.value = this.options.codec ? secretData : secretData?.toString();
     this.versionName = this.updatedVersionName;
+    // the secret updated along with the new version is at hand, no need to read it again
+    if (this.updatedSecret) this._setExpireTime(this.updatedSecret);
     return this.value;
   }
 
   /**
-   * Clone current secret with new value
-   * @param {string|Buffer} newValue
-   * @returns {CachedSecret}
+   * @internal Get cached value from secret version payload data
+   * @param {string|Uint8Array} data secret version payload data
+   * @param {string} versionName secret version name
+   * @returns {any} decoded value if codec option is set, otherwise string
+   */
+  _toValue(data, versionName) {
+    if (this.options.codec) return this._decode(data, versionName);
+    return data?.toString();
+  }
+
+  /**
+   * @internal Clone secret with latest version value without calling update method, this instance is left untouched
+   * @returns {Promise<CachedSecret>}
+   */
+  _cloneLatest() {
+    return this._runOperation(async () => {
+      const secretData = await this.getLatestData(true);
+      const latestSecret = this.clone(this._toValue(secretData.payload.data, secretData.name));
+      latestSecret.versionName = secretData.name;
+      if (this.readExpireTime) await latestSecret._updateExpireTime();
+      return latestSecret;
+    });
+  }
+
+  /**
+   * Clone current secret with new value, event listeners are copied to the clone
+   * @param {any} newValue
+   * @returns {CachedSecret}
+   */
+  clone(newValue) {
+    /** @type {CachedSecret} */
+    // @ts-ignore
+    const cloned = new this.constructor(this.name, newValue, {
+      ...this.options,
+      versionName: this.versionName,
+      expireTime: this.expireTime,
+    });
+
+    for (const eventName of this.eventNames()) {
+      for (const listener of this.rawListeners(eventName)) {
+        // once listeners are wrapped, the wrapper removes itself from this instance
+        // @ts-ignore
+        if (listener.listener) cloned.once(eventName, listener.listener);
+        else cloned.on(eventName, listener);
+      }
+    }
+
+    return cloned;
+  }
+}
+
+export class SecretsCache {
+  /**
+   * @param {import('google-gax').ClientOptions | import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} [clientOrClientOptions] Secret Manager client instance or the options for a new one
+   * @param {Omit<LRUCache.Options<string, CachedSecret, any>,'fetchMethod'>} [cacheOptions] LRU Cache options
+   * @param {concurrentSecretOptions & Pick<cachedSecretOptions, 'readExpireTime'>} [secretOptions] default cached secret options, used for secrets fetched by get and merged with secrets set options, expire time of fetched secrets is only read with readExpireTime
+   */
+  constructor(clientOrClientOptions, cacheOptions, secretOptions) {
+    const isClient = clientOrClientOptions instanceof secretManager.v1.SecretManagerServiceClient;
+
+    /** @type {import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} */
+    this.client = isClient ? clientOrClientOptions : new secretManager.v1.SecretManagerServiceClient(clientOrClientOptions);
+
+    /**
+     * Client options used to create regional clients, undefined if a client instance was passed
+     * @type {import('google-gax').ClientOptions|undefined}
+     */
+    this.clientOptions = isClient ? undefined : { ...clientOrClientOptions };
+
+    /**
+     * Clients for regional secrets by location, created with client options and the regional endpoint
+     * @type {Map<string, import('@google-cloud/secret-manager').v1.SecretManagerServiceClient>}
+     */
+    this.regionalClients = new Map();
+
+    /**
+     * Default cached secret options, e.g. readAlias and readExpireTime
+     * @type {concurrentSecretOptions & Pick<cachedSecretOptions, 'readExpireTime'>}
+     */
+    this.secretOptions = { ...secretOptions };
+
+    const getClient = (/** @type {string} */ name) => this._getClient(name);
+    const defaultSecretOptions = this.secretOptions;
+
+    this.cache = new LRUCache({
+      max: 500,
+      allowStale: false,
+      noDeleteOnStaleGet: true,
+      noDeleteOnFetchRejection: true,
+      ...cacheOptions,
+      async fetchMethod(key, staleValue, fetcherOptions) {
+        if (!staleValue) {
+          debug('secret %s is not in cache', key);
+          const secret = new CachedSecret(key, null, { ...defaultSecretOptions, client: getClient(key) });
+          await secret.update();
+          limitTtlToExpireTime(secret, fetcherOptions.options, cacheOptions?.ttl);
+          return secret;
+        }
+
+        const updatedValue = await staleValue.update(fetcherOptions);
+        limitTtlToExpireTime(staleValue, fetcherOptions.options, cacheOptions?.ttl);
+        return staleValue.clone(updatedValue);
+      },
+    });
+  }
+  /**
+   * Get cached secret
+   * @param {string} name
+   */
+  get(name) {
+    return withSpan('SecretsCache.get', { 'secret.name': name }, () => {
+      const instruments = getInstruments();
+      (this.cache.has(name) ? instruments.cacheHits : instruments.cacheMisses).add(1, { 'secret.name': name });
+      return this.cache.fetch(name);
+    });
+  }
+  /**
+   * Has cached secret
+   * @param {string} name
+   */
+  has(name) {
+    return this.cache.has(name);
+  }
+  /**
+   * Set cached secret
+   * @param {string} name
+   * @param {any} [initialValue] initial value, decoded value if codec option is set
+   * @param {(options: LRUCache.FetcherOptions<string, CachedSecret, any>) => Promise<any>} [updateMethod] function to use when to update secret with new value, if omitted return latest secret version data
+   * @param {concurrentSecretOptions & cachedSetSecretOptions} [options] cached secret options, plus ttl which is passed to underlying cache
+   */
+  set(name, initialValue, updateMethod, options) {
+    const cachedSecret = new CachedSecret(name, initialValue, {
+      ...this.secretOptions,
+      updateMethod,
+      client: this._getClient(name),
+      ...options,
+    });
+    this.cache.set(name, cachedSecret, {
+      ttl: options?.ttl,
+    });
+    if (!initialValue) this.cache.fetch(name, { forceRefresh: true });
+  }
+  /**
+   * Update secret and return cached secret with new value
+   * @param {string} name
+   */
+  update(name) {
+    return withSpan('SecretsCache.update', { 'secret.name': name }, () => this.cache.fetch(name, { forceRefresh: true }));
+  }
+  /**
+   * Invalidate cached secret value and refresh it from latest version without calling update method, cached secret is kept if refresh fails
+   * @param {string} name
+   * @returns {Promise<CachedSecret|undefined>} refreshed cached secret, or undefined if secret is not in cache
+   */
+  async invalidate(name) {
+    const cachedSecret = this.cache.peek(name);
+    if (!cachedSecret) return undefined;
+
+    debug('cached secret %s invalidated', name);
+
+    // refresh into a clone to keep the cached secret if reading latest version fails
+    const latestSecret = await cachedSecret._cloneLatest();
+    // keep ttl passed to set, capped at secret expiry
+    const setOptions = { ttl: /** @type {cachedSetSecretOptions} */ (latestSecret.options).ttl };
+    limitTtlToExpireTime(latestSecret, setOptions, this.cache.ttl);
+    this.cache.set(name, latestSecret, setOptions);
+    return latestSecret;
+  }
+  /**
+   * Get cached secret remaining ttl
+   * @param {string} name
+   */
+  getRemainingTTL(name) {
+    return this.cache.getRemainingTTL(name);
+  }
+  /**
+   * @internal Get client for secret, regional secrets get a regional client unless a client instance was passed or apiEndpoint is set
+   * @param {string} name secret resource name
+   * @returns {import('@google-cloud/secret-manager').v1.SecretManagerServiceClient}
+   */
+  _getClient(name) {
+    const location = getSecretLocation(name);
+    if (!location || !this.clientOptions) return this.client;
+
+    const clientOptions = getClientOptions(name, this.clientOptions);
+    if (clientOptions === this.clientOptions) return this.client;
+
+    let client = this.regionalClients.get(location);
+    if (!client) {
+      debug('create regional client for %s at %s', location, clientOptions.apiEndpoint);
+      client = new secretManager.v1.SecretManagerServiceClient(clientOptions);
+      this.regionalClients.set(location, client);
+    }
+
+    return client;
+  }
+}
+
+/** Secret Manager notification event types that invalidate cached secret */
+const VERSION_EVENT_TYPES = new Set([
+  'SECRET_VERSION_ADD',
+  'SECRET_VERSION_ENABLE',
+  'SECRET_VERSION_DISABLE',
+  'SECRET_VERSION_DESTROY',
+  'SECRET_VERSION_DESTROY_SCHEDULED',
+]);
+
+/**
+ * Create Secret Manager Pub/Sub notification handler. Rotate events update the secret with the rotate function,
+ * version events invalidate the secret in the secrets cache, and delete events remove the secret from the secrets cache
+ * @param {notificationHandlerOptions} options
+ * @returns {(message: pubSubMessage | { message: pubSubMessage }) => Promise<notificationResult>} handler accepting a pull message, or a push request body or Cloud Function event data with message
+ */
+export function createNotificationHandler(options) {
+  const { rotate, secretsCache, concurrentSecretOptions, client: clientOrClientOptions } = options;
+
+  const isClient = clientOrClientOptions instanceof secretManager.v1.SecretManagerServiceClient;
+
+  /**
+   * Clients created by handler, keyed by location, or empty string for global endpoint
+   * @type {Map<string, import('@google-cloud/secret-manager').v1.SecretManagerServiceClient>}
+   */
+  const clients = new Map();
+
+  /**
+   * Get client for rotated secret, clients are created once and shared between notifications
+   * @param {string} name secret resource name
+   */
+  function getClient(name) {
+    if (isClient) return clientOrClientOptions;
+    if (!clientOrClientOptions && secretsCache) return secretsCache._getClient(name);
+
+    const clientOptions = getClientOptions(name, clientOrClientOptions);
+    const location = clientOptions === clientOrClientOptions ? '' : getSecretLocation(name);
+
+    let client = clients.get(location);
+    if (!client) {
+      debug('create notification handler client for %s', location || 'global endpoint');
+      client = new secretManager.v1.SecretManagerServiceClient(clientOptions);
+      clients.set(location, client);
+    }
+
+    return client;
+  }
+
+  return async function handleNotification(messageOrEnvelope) {
+    // @ts-ignore
+    const message = messageOrEnvelope?.message ?? messageOrEnvelope;
+    const notification = parseNotification(message);
+    const { eventType, secretId } = notification;
+
+    if (!eventType || !secretId) {
+      debug('ignoring message without event type or secret id', message?.attributes);
+      return { eventType, secretId, action: 'ignored' };
+    }
+
+    if (eventType === 'SECRET_ROTATE' && rotate) {
+      debug('rotating secret %s on notification', secretId);
+      const concurrentSecret = new ConcurrentSecret(secretId, getClient(secretId), concurrentSecretOptions);
+      const result = await concurrentSecret.optimisticUpdate(rotate, notification);
+      return { eventType, secretId, action: 'rotated', result };
+    }
+
+    if (VERSION_EVENT_TYPES.has(eventType) && secretsCache?.has(secretId)) {
+      await secretsCache.invalidate(secretId);
+      return { eventType, secretId, action: 'invalidated' };
+    }
+
+    if (eventType === 'SECRET_DELETE' && secretsCache?.has(secretId)) {
+      debug('cached secret %s deleted on notification', secretId);
+      secretsCache.cache.delete(secretId);
+      return { eventType, secretId, action: 'deleted' };
+    }
+
+    debug('ignoring %s notification of %s', eventType, secretId);
+
+    return { eventType, secretId, action: 'ignored' };
+  };
+}
+
+/** Release attempts if secret etag has changed while locked */
+const MAX_RELEASE_ATTEMPTS = 3;
+
+export class AnnotationLock {
+  /**
+   * Acquire lock by updating secret annotations with etag
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<acquiredLock>}
+   */
+  async acquire(concurrentSecret) {
+    const lockSecret = await this._getLockSecret(concurrentSecret);
+    const lockInfo = this._parseLockInfo(concurrentSecret, lockSecret);
+
+    if (lockInfo.locked && !lockInfo.expired && !isNaN(lockInfo.lockedAt.getTime())) {
+      const lockedBy = lockInfo.lockedBy ? ` ${lockInfo.lockedBy}` : '';
+      throw new SecretLockedError(`Secret is updated by another process${lockedBy} since ${lockInfo.lockedAt.toISOString()}`, {
+        lockedAt: lockInfo.lockedAt,
+        lockedBy: lockInfo.lockedBy,
+        retryAfterMs: Math.max(0, lockInfo.expiresAt.getTime() - Date.now()),
+      });
+    }
+
+    const fencingToken = (lockInfo.fencingToken || 0) + 1;
+    const ownerId = concurrentSecret.options.ownerId;
+
+    const [lockedSecret] = await concurrentSecret._updateSecret({
+      name: lockSecret.name,
+      etag: lockSecret.etag,
+      annotations: {
+        ...lockSecret.annotations,
+        locked_at: new Date().toJSON(),
+        locked_by: ownerId,
+        fencing_token: fencingToken.toString(),
+      },
+    });
+
+    debug('secret %s locked by %s with etag %s and fencing token %d', lockedSecret.name, ownerId, lockedSecret.etag, fencingToken);
+
+    return this._toAcquiredLock(concurrentSecret, lockedSecret, fencingToken);
+  }
+  /**
+   * Renew lock by updating locked at annotation with current etag
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<acquiredLock>}
+   */
+  async renew(concurrentSecret) {
+    const lockSecret = this._getHeldLockSecret(concurrentSecret);
+
+    const [renewedSecret] = await concurrentSecret._updateSecret({
+      name: lockSecret.name,
+      etag: lockSecret.etag,
+      annotations: {
+        ...lockSecret.annotations,
+        locked_at: new Date().toJSON(),
+      },
+    });
+
+    debug('secret %s lock renewed with etag %s', renewedSecret.name, renewedSecret.etag);
+
+    return this._toAcquiredLock(concurrentSecret, renewedSecret, concurrentSecret.fencingToken);
+  }
+  /**
+   * Release lock by removing lock annotations, refuses to release a lock that is not owned by secret instance.
+   * Re-reads secret and retries if etag has changed while locked
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<string>} released secret etag
+   */
+  async release(concurrentSecret) {
+    let lockSecret = this._getHeldLockSecret(concurrentSecret);
+    const name = lockSecret.name;
+    const ownerId = concurrentSecret.options.ownerId;
+
+    for (let attempt = 1; ; attempt++) {
+      // @ts-ignore
+      const { locked_at, locked_by, ...annotations } = lockSecret?.annotations ?? {};
+
+      if (locked_by !== ownerId || annotations.fencing_token !== concurrentSecret.fencingToken?.toString()) {
+        throw new ConcurrentSecretError(`Secret ${name} lock is not owned by ${ownerId}`, RpcCodes.FAILED_PRECONDITION);
+      }
+
+      try {
+        const [updatedSecret] = await concurrentSecret._updateSecret({
+          name,
+          etag: lockSecret.etag,
+          annotations,
+        });
+
+        debug('secret %s released with etag %s', updatedSecret.name, updatedSecret.etag);
+
+        return updatedSecret.etag;
+      } catch (err) {
+        // @ts-ignore
+        if (err.code !== RpcCodes.FAILED_PRECONDITION || attempt >= MAX_RELEASE_ATTEMPTS) throw err;
+
+        debug('secret %s etag changed while locked, re-reading secret before release attempt %d', name, attempt + 1);
+
+        lockSecret = await this._readLockSecret(concurrentSecret);
+      }
+    }
+  }
+  /**
+   * Get current lock information from secret annotations
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<lockInfo>}
    */
-  clone(newValue) {
+  async getLockInfo(concurrentSecret) {
+    const lockSecret = await this._readLockSecret(concurrentSecret);
+    return this._parseLockInfo(concurrentSecret, lockSecret);
+  }
+  /**
+   * Force release lock regardless of owner by removing lock annotations with an etag conditional update
+   * @param {ConcurrentSecret} concurrentSecret
+   * @param {forceUnlockOptions} [options]
+   * @returns {Promise<boolean>} true if lock was released
+   */
+  async forceUnlock(concurrentSecret, options) {
+    const lockSecret = await this._readLockSecret(concurrentSecret);
+    if (!lockSecret) {
+      debug('lock secret of %s is missing, nothing to release', concurrentSecret.name);
+      return false;
+    }
+
+    const lockInfo = this._parseLockInfo(concurrentSecret, lockSecret);
+
+    if (!lockInfo.locked) {
+      debug('secret %s is not locked', lockSecret.name);
+      return false;
+    }
+
+    if (options?.ifLockedBefore !== undefined && lockInfo.lockedAt >= new Date(options.ifLockedBefore)) {
+      debug('secret %s was locked at %s, after %s, lock is kept', lockSecret.name, lockInfo.lockedAt.toISOString(), options.ifLockedBefore);
+      return false;
+    }
+
     // @ts-ignore
-    return new this.constructor(this.name, newValue, { ...this.options, versionName: this.versionName });
+    const { locked_at, locked_by, ...annotations } = lockSecret.annotations;
+
+    const [updatedSecret] = await concurrentSecret._updateSecret({
+      name: lockSecret.name,
+      etag: lockSecret.etag,
+      annotations,
+    });
+
+    debug('secret %s lock held by %s forcibly released with etag %s', updatedSecret.name, lockInfo.lockedBy, updatedSecret.etag);
+
+    return true;
+  }
+  /**
+   * @internal Get secret that holds lock annotations before lock attempt
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret>}
+   */
+  _getLockSecret(concurrentSecret) {
+    return concurrentSecret._prepare();
+  }
+  /**
+   * @internal Read current state of secret that holds lock annotations
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret>}
+   */
+  async _readLockSecret(concurrentSecret) {
+    const [secret] = await concurrentSecret.client.getSecret({ name: concurrentSecret.name }, concurrentSecret._getCallOptions());
+    return secret;
+  }
+  /**
+   * @internal Get secret that holds lock annotations while locked
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret}
+   */
+  _getHeldLockSecret(concurrentSecret) {
+    return concurrentSecret.secret;
+  }
+  /**
+   * @internal Map locked secret to acquired lock
+   * @param {ConcurrentSecret} _concurrentSecret
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} lockedSecret secret with lock annotations
+   * @param {number} fencingToken
+   * @returns {Promise<acquiredLock>}
+   */
+  _toAcquiredLock(_concurrentSecret, lockedSecret, fencingToken) {
+    return Promise.resolve({ secret: lockedSecret, fencingToken });
+  }
+  /**
+   * @internal Parse lock information from secret annotations
+   * @param {ConcurrentSecret} concurrentSecret
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} lockSecret secret with lock annotations
+   * @returns {lockInfo}
+   */
+  _parseLockInfo(concurrentSecret, lockSecret) {
+    const annotations = lockSecret.annotations || {};
+    const lockedAt = annotations.locked_at ? new Date(annotations.locked_at) : undefined;
+    const expiresAt = lockedAt && new Date(lockedAt.getTime() + concurrentSecret.options.gracePeriodMs);
+
+    return {
+      locked: !!lockedAt,
+      lockedBy: annotations.locked_by,
+      lockedAt,
+      expiresAt,
+      expired: !!expiresAt && expiresAt < new Date(),
+      fencingToken: annotations.fencing_token ? Number(annotations.fencing_token) : undefined,
+      etag: lockSecret.etag,
+    };
   }
 }
 
-export class SecretsCache {
+export class CompanionSecretLock extends AnnotationLock {
   /**
-   * @param {import('google-gax').ClientOptions | import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} [clientOrClientOptions] Secret Manager client instance or the options for a new one
-   * @param {Omit<LRUCache.Options<string, CachedSecret, any>,'fetchMethod'>} [cacheOptions] LRU Cache options
+   * @param {companionSecretLockOptions} [options]
    */
-  constructor(clientOrClientOptions, cacheOptions) {
-    /** @type {import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} */
-    const client = (this.client =
-      clientOrClientOptions instanceof secretManager.v1.SecretManagerServiceClient
-        ? clientOrClientOptions
-        : new secretManager.v1.SecretManagerServiceClient(clientOrClientOptions));
+  constructor(options) {
+    super();
+    this.options = { ...options };
+  }
+  /**
+   * Get companion secret name
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {string} companion secret resource name
+   */
+  getCompanionSecretName(concurrentSecret) {
+    return this.options.name ?? `${concurrentSecret.name}-lock`;
+  }
+  /**
+   * @internal Get companion secret, creates it if missing
+   * @param {ConcurrentSecret} concurrentSecret
+   */
+  async _getLockSecret(concurrentSecret) {
+    const secret = await this._readLockSecret(concurrentSecret);
+    if (secret) return secret;
 
-    this.cache = new LRUCache({
-      max: 500,
-      allowStale: false,
-      noDeleteOnStaleGet: true,
-      noDeleteOnFetchRejection: true,
-      ...cacheOptions,
-      async fetchMethod(key, staleValue, fetcherOptions) {
-        if (!staleValue) {
-          debug('secret %s is not in cache', key);
-          const secret = new CachedSecret(key, null, { client });
-          await secret.update();
-          return secret;
-        }
+    const companionSecretName = this.getCompanionSecretName(concurrentSecret);
+    const { parent, secretId } = parseSecretName(companionSecretName);
 
-        const updatedValue = await staleValue.update(fetcherOptions);
-        return staleValue.clone(updatedValue);
-      },
-    });
+    try {
+      const [createdSecret] = await concurrentSecret.client.createSecret(
+        { parent, secretId, secret: getDefaultSecretConfig(companionSecretName) },
+        concurrentSecret._getCallOptions()
+      );
+      debug('companion lock secret %s created', createdSecret.name);
+      return createdSecret;
+    } catch (err) {
+      // @ts-ignore
+      if (err.code !== RpcCodes.ALREADY_EXISTS) throw err;
+      return this._readLockSecret(concurrentSecret);
+    }
   }
   /**
-   * Get cached secret
-   * @param {string} name
+   * @internal Read companion secret
+   * @param {ConcurrentSecret} concurrentSecret
    */
-  get(name) {
-    return this.cache.fetch(name);
+  async _readLockSecret(concurrentSecret) {
+    try {
+      const [secret] = await concurrentSecret.client.getSecret(
+        { name: this.getCompanionSecretName(concurrentSecret) },
+        concurrentSecret._getCallOptions()
+      );
+      return secret;
+    } catch (err) {
+      // @ts-ignore
+      if (err.code === RpcCodes.NOT_FOUND) return null;
+      throw err;
+    }
   }
   /**
-   * Has cached secret
-   * @param {string} name
+   * @internal Get locked companion secret
+   * @param {ConcurrentSecret} concurrentSecret
    */
-  has(name) {
-    return this.cache.has(name);
+  _getHeldLockSecret(concurrentSecret) {
+    return concurrentSecret.lockHandle;
   }
   /**
-   * Set cached secret
-   * @param {string} name
-   * @param {string} [initialValue] initial value
-   * @param {(options: LRUCache.FetcherOptions<string, CachedSecret, any>) => Promise<string|Buffer>} [updateMethod] function to use when to update secret with new value, if omitted return latest secret version data
-   * @param {concurrentSecretOptions & cachedSetSecretOptions} [options] cached secret options, plus ttl which is passed to underlying cache
+   * @internal Map locked companion secret to acquired lock with secret
+   * @param {ConcurrentSecret} concurrentSecret
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} lockedSecret
+   * @param {number} fencingToken
+   * @returns {Promise<acquiredLock>}
    */
-  set(name, initialValue, updateMethod, options) {
-    this.cache.set(name, new CachedSecret(name, initialValue, { updateMethod, client: this.client, ...options }), {
-      ttl: options?.ttl,
-    });
-    if (!initialValue) this.cache.fetch(name, { forceRefresh: true });
+  async _toAcquiredLock(concurrentSecret, lockedSecret, fencingToken) {
+    const secret = concurrentSecret.secret ?? (await concurrentSecret._prepare());
+    return { secret, fencingToken, handle: lockedSecret };
   }
   /**
-   * Update secret and return cached secret with new value
-   * @param {string} name
+   * @internal Parse lock information from companion secret annotations
+   * @param {ConcurrentSecret} concurrentSecret
+   * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} lockSecret
+   * @returns {lockInfo}
    */
-  update(name) {
-    return this.cache.fetch(name, { forceRefresh: true });
+  _parseLockInfo(concurrentSecret, lockSecret) {
+    return super._parseLockInfo(concurrentSecret, lockSecret ?? {});
   }
+}
+
+/** @type {Map<string, inProcessLockEntry>} */
+const inProcessLocks = new Map();
+
+/** @type {Map<string, number>} */
+const inProcessFencingTokens = new Map();
+
+export class InProcessLock {
   /**
-   * Get cached secret remaining ttl
-   * @param {string} name
+   * Acquire in-process lock, the secret is not updated
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<acquiredLock>}
    */
-  getRemainingTTL(name) {
-    return this.cache.getRemainingTTL(name);
+  async acquire(concurrentSecret) {
+    // check and take lock in the same synchronous step, an await in between lets concurrent callers in on the same lock
+    const lockInfo = this._getLockInfo(concurrentSecret);
+
+    if (lockInfo.locked && !lockInfo.expired) {
+      throw new SecretLockedError(`Secret is updated by another process ${lockInfo.lockedBy} since ${lockInfo.lockedAt.toISOString()}`, {
+        lockedAt: lockInfo.lockedAt,
+        lockedBy: lockInfo.lockedBy,
+        retryAfterMs: Math.max(0, lockInfo.expiresAt.getTime() - Date.now()),
+      });
+    }
+
+    const fencingToken = (inProcessFencingTokens.get(concurrentSecret.name) || 0) + 1;
+    inProcessFencingTokens.set(concurrentSecret.name, fencingToken);
+
+    /** @type {inProcessLockEntry} */
+    const entry = { lockedBy: concurrentSecret.options.ownerId, lockedAt: new Date(), fencingToken };
+    inProcessLocks.set(concurrentSecret.name, entry);
+
+    debug('secret %s locked in process by %s with fencing token %d', concurrentSecret.name, entry.lockedBy, fencingToken);
+
+    try {
+      const secret = await concurrentSecret._prepare();
+      return { secret, fencingToken, handle: entry };
+    } catch (err) {
+      if (inProcessLocks.get(concurrentSecret.name) === entry) inProcessLocks.delete(concurrentSecret.name);
+      throw err;
+    }
+  }
+  /**
+   * Renew in-process lock
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<acquiredLock>}
+   */
+  renew(concurrentSecret) {
+    const entry = this._getOwnedEntry(concurrentSecret);
+    entry.lockedAt = new Date();
+    return Promise.resolve({ secret: concurrentSecret.secret, fencingToken: entry.fencingToken, handle: entry });
+  }
+  /**
+   * Release in-process lock, refuses to release a lock that is not owned by secret instance
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<undefined>}
+   */
+  release(concurrentSecret) {
+    this._getOwnedEntry(concurrentSecret);
+    inProcessLocks.delete(concurrentSecret.name);
+
+    debug('secret %s released in process', concurrentSecret.name);
+
+    return Promise.resolve(undefined);
+  }
+  /**
+   * Get current in-process lock information
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {Promise<lockInfo>}
+   */
+  getLockInfo(concurrentSecret) {
+    return Promise.resolve(this._getLockInfo(concurrentSecret));
+  }
+  /**
+   * Force release in-process lock regardless of owner
+   * @param {ConcurrentSecret} concurrentSecret
+   * @param {forceUnlockOptions} [options]
+   * @returns {Promise<boolean>} true if lock was released
+   */
+  forceUnlock(concurrentSecret, options) {
+    const entry = inProcessLocks.get(concurrentSecret.name);
+    if (!entry) return Promise.resolve(false);
+
+    if (options?.ifLockedBefore !== undefined && entry.lockedAt >= new Date(options.ifLockedBefore)) {
+      return Promise.resolve(false);
+    }
+
+    inProcessLocks.delete(concurrentSecret.name);
+
+    debug('secret %s in process lock held by %s forcibly released', concurrentSecret.name, entry.lockedBy);
+
+    return Promise.resolve(true);
+  }
+  /**
+   * @internal Get current in-process lock information synchronously
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {lockInfo}
+   */
+  _getLockInfo(concurrentSecret) {
+    const entry = inProcessLocks.get(concurrentSecret.name);
+    const expiresAt = entry && new Date(entry.lockedAt.getTime() + concurrentSecret.options.gracePeriodMs);
+
+    return {
+      locked: !!entry,
+      lockedBy: entry?.lockedBy,
+      lockedAt: entry?.lockedAt,
+      expiresAt,
+      expired: !!expiresAt && expiresAt < new Date(),
+      fencingToken: inProcessFencingTokens.get(concurrentSecret.name),
+      etag: undefined,
+    };
+  }
+  /**
+   * @internal Get lock entry owned by secret instance, throws if lock was lost
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {inProcessLockEntry}
+   */
+  _getOwnedEntry(concurrentSecret) {
+    const entry = inProcessLocks.get(concurrentSecret.name);
+    if (!entry || entry !== concurrentSecret.lockHandle) {
+      throw new ConcurrentSecretError(
+        `Secret ${concurrentSecret.name} lock is not owned by ${concurrentSecret.options.ownerId}`,
+        RpcCodes.FAILED_PRECONDITION
+      );
+    }
+    return entry;
+  }
+}
+
+/**
+ * Get secret version number from version name
+ * @param {string} versionName secret version resource name, e.g. `projects/1234/secrets/my-secret/versions/2`
+ * @returns {number}
+ */
+function getVersionNumber(versionName) {
+  return Number(versionName.split('/').pop());
+}
+
+/**
+ * Get version numbers rejected by abort rotation or verification from secret annotations
+ * @param {Record<string, string>} [annotations] secret annotations
+ * @returns {number[]}
+ */
+function getRejectedVersions(annotations) {
+  if (!annotations?.rejected_versions) return [];
+  return annotations.rejected_versions.split(',').map(Number);
+}
+
+/**
+ * Get version name if version is enabled
+ * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecretVersion} [version]
+ * @returns {string|undefined}
+ */
+function getEnabledVersionName(version) {
+  return version?.state === 'ENABLED' && !version.scheduledDestroyTime ? version.name : undefined;
+}
+
+/**
+ * Check if secret rotation is due, next rotation time has passed, or rotation period has passed since last update if next rotation time is not set
+ * @param {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret
+ * @param {number} [rotationPeriodMs] rotation period, defaults to secret rotation period if returned
+ * @returns {boolean}
+ */
+function isRotationDue(secret, rotationPeriodMs) {
+  const rotation = secret.rotation;
+  if (rotation?.nextRotationTime) {
+    return timestampToDate(rotation.nextRotationTime).getTime() <= Date.now();
+  }
+
+  const periodMs = rotationPeriodMs ?? durationToMs(rotation?.rotationPeriod);
+  if (!periodMs) return false;
+
+  const updatedAt = secret.annotations?.updated_at ? new Date(secret.annotations.updated_at) : timestampToDate(secret.createTime);
+  return updatedAt.getTime() + periodMs <= Date.now();
+}
+
+/**
+ * Convert protobuf timestamp to date
+ * @param {import('@google-cloud/secret-manager').protos.google.protobuf.ITimestamp} timestamp
+ * @returns {Date}
+ */
+function timestampToDate(timestamp) {
+  return new Date(Number(timestamp?.seconds || 0) * 1000 + Math.floor((timestamp?.nanos || 0) / 1e6));
+}
+
+/**
+ * Convert date to protobuf timestamp
+ * @param {Date} date
+ * @returns {import('@google-cloud/secret-manager').protos.google.protobuf.ITimestamp}
+ */
+function dateToTimestamp(date) {
+  const ms = date.getTime();
+  return { seconds: Math.floor(ms / 1000), nanos: (ms % 1000) * 1e6 };
+}
+
+/**
+ * Convert protobuf duration to milliseconds
+ * @param {import('@google-cloud/secret-manager').protos.google.protobuf.IDuration} [duration]
+ * @returns {number}
+ */
+function durationToMs(duration) {
+  if (!duration) return 0;
+  return Number(duration.seconds || 0) * 1000 + Math.floor((duration.nanos || 0) / 1e6);
+}
+
+/**
+ * Create gRPC interceptor that cancels the call if signal is aborted before the call completes
+ * @param {AbortSignal} signal
+ * @returns {(options: import('@grpc/grpc-js').InterceptorOptions, nextCall: import('@grpc/grpc-js').NextCall) => ReturnType<import('@grpc/grpc-js').NextCall>}
+ */
+function createAbortInterceptor(signal) {
+  return (options, nextCall) => {
+    const call = nextCall(options);
+    const cancel = () => {
+      debug('call cancelled since operation was aborted');
+      call.cancelWithStatus(RpcCodes.CANCELLED, `Cancelled on client: ${signal.reason?.message ?? signal.reason}`);
+    };
+
+    const start = call.start.bind(call);
+    call.start = (metadata, listener) => {
+      start(
+        metadata,
+        Object.assign(Object.create(listener), {
+          /** @param {import('@grpc/grpc-js').StatusObject} status */
+          onReceiveStatus(status) {
+            signal.removeEventListener('abort', cancel);
+            listener.onReceiveStatus(status);
+          },
+        })
+      );
+      if (signal.aborted) cancel();
+      else signal.addEventListener('abort', cancel, { once: true });
+    };
+
+    return call;
+  };
+}
+
+/**
+ * Limit cache ttl of fetched or set secret to secret expire time
+ * @param {CachedSecret} cachedSecret
+ * @param {{ ttl?: number }} cacheSetOptions fetcher options options, or cache set options
+ * @param {number} [defaultTtl] cache ttl
+ */
+function limitTtlToExpireTime(cachedSecret, cacheSetOptions, defaultTtl) {
+  if (!cachedSecret.expireTime) return;
+
+  const expiresInMs = Math.max(1, cachedSecret.expireTime.getTime() - Date.now());
+  const ttl = cacheSetOptions.ttl || defaultTtl;
+  cacheSetOptions.ttl = ttl ? Math.min(ttl, expiresInMs) : expiresInMs;
+
+  debug('cached secret %s expires in %dms, ttl is %dms', cachedSecret.name, expiresInMs, cacheSetOptions.ttl);
+}
+
+/**
+ * Parse Secret Manager notification from Pub/Sub message
+ * @param {pubSubMessage} message
+ * @returns {secretNotification}
+ */
+function parseNotification(message) {
+  const attributes = message?.attributes || {};
+  const rawData = message?.data;
+
+  let data = null;
+  if (rawData) {
+    const buffer = typeof rawData === 'string' ? Buffer.from(rawData, 'base64') : Buffer.from(rawData);
+    try {
+      data = JSON.parse(buffer.toString());
+    } catch (err) {
+      debug('failed to parse notification data of %s', attributes.secretId, err);
+    }
   }
+
+  return { eventType: attributes.eventType, secretId: attributes.secretId, versionId: attributes.versionId, attributes, data };
+}
+
+/**
+ * Get secret version resource name
+ * @param {string} secretName secret resource name
+ * @param {string|number} version version number, latest, or version alias
+ * @returns {string}
+ */
+function getSecretVersionName(secretName, version) {
+  return `${secretName}/versions/${version}`;
+}
+
+/**
+ * Get location of regional secret
+ * @param {string} name secret resource name
+ * @returns {string|undefined} location, or undefined if secret is global
+ */
+function getSecretLocation(name) {
+  return name.match(/^projects\/[^/]+\/locations\/([^/]+)\//)?.[1];
+}
+
+/**
+ * Get default configuration of created secret, regional secrets lack replication
+ * @param {string} name secret resource name
+ * @returns {createSecretOptions}
+ */
+function getDefaultSecretConfig(name) {
+  return getSecretLocation(name) ? {} : { replication: { automatic: {} } };
+}
+
+/**
+ * Get client options with regional endpoint for regional secret, unless endpoint is set
+ * @param {string} name secret resource name
+ * @param {import('google-gax').ClientOptions} [clientOptions]
+ * @returns {import('google-gax').ClientOptions}
+ */
+function getClientOptions(name, clientOptions) {
+  const location = getSecretLocation(name);
+  if (!location || clientOptions?.apiEndpoint || clientOptions?.servicePath) return clientOptions;
+
+  const universeDomain = clientOptions?.universeDomain ?? 'googleapis.com';
+  return { ...clientOptions, apiEndpoint: `secretmanager.${location}.rep.${universeDomain}` };
+}
+
+/**
+ * Get parent and secret id from secret name
+ * @param {string} name secret resource name, e.g. `projects/1234/secrets/my-secret`
+ * @returns {{ parent: string, secretId: string }}
+ */
+function parseSecretName(name) {
+  const [, parent, secretId] = name.match(/^(.+)\/secrets\/([^/]+)$/);
+  return { parent, secretId };
 }
 
 /**
  * @typedef {object} concurrentSecretOptions
  * @property {number} [gracePeriodMs] lock grace period in milliseconds, continue if secret is locked beyond grace period, default is 60000ms
  * @property {()=>import('google-gax').CallOptions|import('google-gax').CallOptions} [callOptions] optional function to pass other args to pass to each request, tracing for instance
+ * @property {retryOptions} [retry] retry lock with exponential backoff if secret is locked by another process or etag has changed
+ * @property {'throw'|'wait'} [onContention] throw if secret is locked by another process, or wait for the version added by the other process, default is throw
+ * @property {number} [pollIntervalMs] interval in milliseconds to poll for new version while waiting on contention, default is 1000ms
+ * @property {retentionOptions} [retention] version retention policy applied after successful update, default is to destroy previous version
+ * @property {(newValue: any, previousValue: any) => boolean|void|Promise<boolean|void>} [validate] validate new secret value before it is added, throw or return false to abort update, values are decoded with codec option if set, previous value is a buffer otherwise
+ * @property {boolean} [verify] read added version back and verify data, the version is disabled and update aborted if data differs
+ * @property {string} [ownerId] lock owner identity stored in locked_by annotation, default is hostname/pid
+ * @property {boolean|createSecretOptions} [createIfMissing] create secret before lock if it does not exist, true or secret configuration, default is false
+ * @property {boolean} [maintainAliases] point current version alias at the new version and previous at the retired version on every update, default is false
+ * @property {string} [readAlias] read latest data by version alias, e.g. current, falls back to latest version if secret lacks alias
+ * @property {boolean|auditOptions} [audit] record who, why, and which versions in bounded audit trail annotations on every rotation, default is false
+ * @property {number} [rotationPeriodMs] rotation period in milliseconds used to advance next rotation time when a due rotation is made, rotation period is input only and not returned by Secret Manager
+ * @property {number} [extendExpiryMs] extend expire time of expiring secret to at least this many milliseconds from now on update, default is to leave expire time as is
+ * @property {boolean} [coalesceUpdates] coalesce concurrent optimistic updates of the same secret name within the process, the function, arguments, and options of a joining caller are not used, default is false
+ * @property {lockStrategy} [lockStrategy] lock strategy, AnnotationLock, CompanionSecretLock, InProcessLock, or custom, default is AnnotationLock
+ * @property {number} [heartbeatIntervalMs] renew lock at interval in milliseconds while update function is running, should be well below grace period, default is no renewal
+ * @property {'json'|secretCodec} [codec] encode new secret values and decode secret version data, json or a custom codec, default is raw string or buffer
+ * @property {AbortSignal} [signal] abort signal, aborts pending operations, the lock is released on a best effort basis
+ * @property {number} [timeoutMs] total deadline in milliseconds per operation, e.g. optimisticUpdate, including lock retries and update function, default is no deadline
+ *
+ * @typedef {object} updateContext passed as last argument to update function
+ * @property {AbortSignal} signal aborted if lock is lost to another process, the signal option is aborted, or the operation deadline is exceeded while update function is running
+ * @property {number} fencingToken monotonically increasing lock fencing token
+ *
+ * @typedef {object} lockedEvent
+ * @property {string} name secret name
+ * @property {string} etag locked secret etag
+ * @property {number} fencingToken lock fencing token
+ * @property {number} attempts number of lock attempts
+ * @property {number} durationMs time it took to acquire lock, including retries
+ *
+ * @typedef {object} lockContendedEvent
+ * @property {string} name secret name
+ * @property {number} attempt failed lock attempt number
+ * @property {unknown} error lock error, locked by another process or etag mismatch
+ *
+ * @typedef {object} versionEvent
+ * @property {string} name secret name
+ * @property {string} versionName secret version name
+ * @property {string} etag secret version etag
+ *
+ * @typedef {object} unlockedEvent
+ * @property {string} name secret name
+ * @property {string} etag released secret etag
+ * @property {number} fencingToken released lock fencing token
+ * @property {number} [durationMs] time the lock was held
+ *
+ * @typedef {object} updateFailedEvent
+ * @property {string} name secret name
+ * @property {unknown} error update error
+ * @property {number} durationMs time until update failed
+ *
+ * @typedef {object} concurrentSecretEvents
+ * @property {[lockedEvent]} locked secret was locked
+ * @property {[lockContendedEvent]} lockContended lock attempt failed since secret is locked by another process or etag has changed
+ * @property {[versionEvent]} versionAdded secret version was added
+ * @property {[versionEvent]} versionDestroyed secret version was destroyed
+ * @property {[unlockedEvent]} unlocked lock was released
+ * @property {[updateFailedEvent]} updateFailed optimistic update, rotation, or rollback failed
+ *
+ * @typedef {object} secretCodec
+ * @property {(value: any) => string|Buffer} encode encode value to secret data
+ * @property {(data: Buffer) => any} decode decode secret data to value, throw if data is invalid
+ *
+ * @typedef {object} operationOptions
+ * @property {AbortSignal} [signal] operation abort signal, combined with signal option
+ * @property {number} [timeoutMs] total deadline in milliseconds of the operation, used ahead of timeoutMs option
+ *
+ * @typedef {object} operationContext
+ * @property {ConcurrentSecret} concurrentSecret operation owner
+ * @property {AbortSignal} [signal] operation abort signal
+ * @property {number} [deadline] operation deadline as epoch milliseconds
+ *
+ * @typedef {object} retentionOptions
+ * @property {number} [keepEnabled] number of most recent versions to keep enabled, including the new version, older versions are disabled, default is 1
+ * @property {number} [keepVersions] number of most recent versions to keep, enabled or disabled, older versions are destroyed, default is keepEnabled
+ *
+ * @typedef {object} lockInfo
+ * @property {boolean} locked secret has lock annotation
+ * @property {string} [lockedBy] lock owner identity
+ * @property {Date} [lockedAt] lock time
+ * @property {Date} [expiresAt] lock grace period expiry time
+ * @property {boolean} expired lock grace period has expired
+ * @property {number} [fencingToken] fencing token of latest lock
+ * @property {string} [etag] etag of secret holding lock annotations, undefined for in-process lock
+ *
+ * @typedef {object} createSecretOptions secret configuration used when secret is created
+ * @property {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.IReplication} [replication] replication policy, default is automatic
+ * @property {import('@google-cloud/secret-manager').protos.google.protobuf.IDuration} [versionDestroyTtl] delay destruction of versions
+ * @property {Record<string, string>} [labels] secret labels
+ * @property {Record<string, string>} [annotations] secret annotations
+ * @property {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.IRotation} [rotation] rotation schedule, requires topics
+ * @property {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ITopic[]} [topics] Pub/Sub topics to notify
+ * @property {import('@google-cloud/secret-manager').protos.google.protobuf.ITimestamp} [expireTime] secret is deleted at this time
+ * @property {import('@google-cloud/secret-manager').protos.google.protobuf.IDuration} [ttl] secret is deleted after this duration
+ *
+ * @typedef {object} auditOptions
+ * @property {number} [maxEntries] number of audit records to keep, default is 10
+ * @property {string|((...args: any) => string)} [reason] rotation reason, or function called with update arguments returning reason
+ *
+ * @typedef {object} rotationHistoryEntry
+ * @property {number} rotation rotation counter
+ * @property {Date} rotatedAt rotation time
+ * @property {string} rotatedBy lock owner that rotated secret
+ * @property {string} [reason] rotation reason
+ * @property {string} operation update, rollback, or commitRotation
+ * @property {string} [previousVersion] retired version name
+ * @property {string} newVersion new version name
+ *
+ * @typedef {object} notificationHandlerOptions
+ * @property {(notification: secretNotification, context: updateContext) => any} [rotate] update function called with notification on SECRET_ROTATE events, rotate events are ignored if omitted
+ * @property {SecretsCache} [secretsCache] secrets cache to invalidate on version events and delete from on SECRET_DELETE events
+ * @property {import('google-gax').ClientOptions | import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} [client] Secret Manager client instance or the options for a new one, defaults to secrets cache client
+ * @property {concurrentSecretOptions} [concurrentSecretOptions] options for the concurrent secret that is rotated
+ *
+ * @typedef {object} pubSubMessage
+ * @property {Record<string, string>} [attributes] message attributes, e.g. eventType, secretId, and versionId
+ * @property {string|Uint8Array} [data] base64 encoded string or buffer with JSON secret or secret version
+ *
+ * @typedef {object} secretNotification
+ * @property {string} eventType notification event type, e.g. SECRET_ROTATE or SECRET_VERSION_ADD
+ * @property {string} secretId secret resource name
+ * @property {string} [versionId] secret version resource name for version events
+ * @property {Record<string, string>} attributes message attributes
+ * @property {any} data parsed JSON message data, null if missing or malformed
+ *
+ * @typedef {object} notificationResult
+ * @property {string} eventType notification event type
+ * @property {string} secretId secret resource name
+ * @property {'rotated'|'invalidated'|'deleted'|'ignored'} action handled action
+ * @property {any} [result] rotate function result
+ *
+ * @typedef {object} secretLockedErrorDetails
+ * @property {Date} lockedAt lock time
+ * @property {string} [lockedBy] lock owner
+ * @property {number} retryAfterMs milliseconds until lock grace period expires
+ *
+ * @typedef {object} pendingUpdate
+ * @property {Promise<any>} update in-flight optimistic update
+ * @property {ConcurrentSecret} concurrentSecret instance running the update
+ *
+ * @typedef {object} lockStrategy lock strategy used by lock and unlock
+ * @property {(concurrentSecret: ConcurrentSecret) => Promise<acquiredLock>} acquire acquire lock, reject with code 9 FAILED_PRECONDITION if lock is contended
+ * @property {(concurrentSecret: ConcurrentSecret) => Promise<acquiredLock>} renew renew held lock, reject with code 9 FAILED_PRECONDITION if lock was lost
+ * @property {(concurrentSecret: ConcurrentSecret) => Promise<string|undefined>} release release held lock, reject with code 9 FAILED_PRECONDITION if lock is not owned, resolves etag if any
+ * @property {(concurrentSecret: ConcurrentSecret) => Promise<lockInfo>} getLockInfo get current lock information
+ * @property {(concurrentSecret: ConcurrentSecret, options?: forceUnlockOptions) => Promise<boolean>} forceUnlock force release lock regardless of owner
+ *
+ * @typedef {object} acquiredLock
+ * @property {import('@google-cloud/secret-manager').protos.google.cloud.secretmanager.v1.ISecret} secret secret used for etag conditional updates while locked
+ * @property {number} fencingToken lock fencing token
+ * @property {any} [handle] lock strategy specific handle, passed on as concurrent secret lockHandle
+ *
+ * @typedef {object} companionSecretLockOptions
+ * @property {string} [name] companion secret resource name, default is secret name suffixed with -lock
+ *
+ * @typedef {object} inProcessLockEntry
+ * @property {string} lockedBy lock owner
+ * @property {Date} lockedAt lock time
+ * @property {number} fencingToken lock fencing token
+ *
+ * @typedef {object} forceUnlockOptions
+ * @property {Date|string|number} [ifLockedBefore] only release lock if it was acquired before this time
+ *
+ * @typedef {object} retryOptions
+ * @property {number} [maxAttempts] maximum number of lock attempts, default is 1, i.e. no retry
+ * @property {number} [minDelayMs] delay before first retry in milliseconds, default is 100ms
+ * @property {number} [maxDelayMs] maximum delay between attempts in milliseconds, default is 10000ms
+ * @property {number} [factor] exponential backoff factor, default is 2
+ * @property {boolean} [jitter] randomize delay between half and full backoff delay, default is true
+ * @property {number} [deadlineMs] total time in milliseconds to keep on retrying, default is no deadline
  *
  * @typedef {object} cachedSetSecretOptions
  * @property {number} [ttl] Time to live
  *
  * @typedef {object} cachedSecretOptions
- * @property {(...args: any) => Promise<string|Buffer>} [updateMethod] use this method to update with new secret value
+ * @property {(...args: any) => Promise<any>} [updateMethod] use this method to update with new secret value, return value is encoded with codec option if set
  * @property {import('google-gax').ClientOptions | import('@google-cloud/secret-manager').v1.SecretManagerServiceClient} [client] Secret Manager client instance or the options for a new one
  * @property {string} [versionName] version name
+ * @property {Date} [expireTime] secret expire time
+ * @property {boolean} [readExpireTime] read secret expire time on every update to cap cache ttl, requires secretmanager.secrets.get permission, expire time is otherwise only known after the secret was updated by the cached secret
  */
@@ -0,0 +1,101 @@
+const INSTRUMENTATION_NAME = '@aller/google-cloud-secret';
+
+/** @type {Promise<typeof import('@opentelemetry/api') | null> | undefined} */
+let pendingApi;
+
+/** @type {instruments | undefined} */
+let loadedInstruments;
+
+/** @type {instruments} */
+const noopInstruments = {
+  cacheHits: { add() {} },
+  cacheMisses: { add() {} },
+  rotations: { add() {} },
+  lockContentions: { add() {} },
+  lockDuration: { record() {} },
+  operationDuration: { record() {} },
+};
+
+/**
+ * Load global OpenTelemetry API if installed
+ * @returns {Promise<typeof import('@opentelemetry/api') | null>}
+ */
+export function loadApi() {
+  if (!pendingApi) {
+    pendingApi = import('@opentelemetry/api')
+      .then((api) => {
+        const meter = api.metrics.getMeter(INSTRUMENTATION_NAME);
+        loadedInstruments = {
+          cacheHits: meter.createCounter('secrets_cache.hits', { description: 'Secrets cache hits' }),
+          cacheMisses: meter.createCounter('secrets_cache.misses', { description: 'Secrets cache misses' }),
+          rotations: meter.createCounter('secret.rotations', { description: 'Secret versions added' }),
+          lockContentions: meter.createCounter('secret.lock.contentions', {
+            description: 'Lock attempts that failed since secret was locked by another process or etag has changed',
+          }),
+          lockDuration: meter.createHistogram('secret.lock.duration', { description: 'Time to acquire lock', unit: 'ms' }),
+          operationDuration: meter.createHistogram('secret.operation.duration', { description: 'Operation latency', unit: 'ms' }),
+        };
+        return api;
+      })
+      .catch(() => /** @type {null} */ (null));
+  }
+  return pendingApi;
+}
+
+/**
+ * Get metric instruments, no-op until OpenTelemetry API is loaded or if it is not installed
+ * @returns {instruments}
+ */
+export function getInstruments() {
+  return loadedInstruments ?? noopInstruments;
+}
+
+/**
+ * Reset loaded OpenTelemetry API and metric instruments, instruments are created with the global meter provider on next load
+ */
+export function resetInstruments() {
+  pendingApi = undefined;
+  loadedInstruments = undefined;
+}
+
+/**
+ * Run function in an active span and record operation latency, runs function as is if OpenTelemetry API is not installed
+ * @template T
+ * @param {string} name span and operation name
+ * @param {Record<string, string>} attributes span and metric attributes
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withSpan(name, attributes, fn) {
+  const api = await loadApi();
+  if (!api) return fn();
+
+  const tracer = api.trace.getTracer(INSTRUMENTATION_NAME);
+  return tracer.startActiveSpan(name, { attributes }, async (span) => {
+    const startedAt = Date.now();
+    let outcome = 'success';
+    try {
+      return await fn();
+    } catch (err) {
+      outcome = 'error';
+      // @ts-ignore
+      span.recordException(err);
+      // @ts-ignore
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: err?.message });
+      throw err;
+    } finally {
+      span.end();
+      getInstruments().operationDuration.record(Date.now() - startedAt, { ...attributes, operation: name, outcome });
+    }
+  });
+}
+
+/**
+ * @typedef {object} instruments
+ * @property {Pick<import('@opentelemetry/api').Counter, 'add'>} cacheHits
+ * @property {Pick<import('@opentelemetry/api').Counter, 'add'>} cacheMisses
+ * @property {Pick<import('@opentelemetry/api').Counter, 'add'>} rotations
+ * @property {Pick<import('@opentelemetry/api').Counter, 'add'>} lockContentions
+ * @property {Pick<import('@opentelemetry/api').Histogram, 'record'>} lockDuration
+ * @property {Pick<import('@opentelemetry/api').Histogram, 'record'>} operationDuration
+ */
@@ -4,7 +4,7 @@ import secretManager from '@google-cloud/secret-manager';
 import Debug from 'debug';
 
 import { fakeAuth } from './helpers/fake-auth.js';
-import { startServer, RpcCodes } from './helpers/fake-server.js';
+import { startServer, RpcCodes, getSecret } from './helpers/fake-server.js';
 
 const debug = Debug('test:aller:google-cloud-secret');
 
@@ -153,7 +153,240 @@ describe('fake grpc server', () => {
       expect(error).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
     });
 
-    ['foo', 'projects/foo', 'projects/123a/secrets/bar'].forEach((name) => {
+    it('enableSecretVersion cancels scheduled destruction', async () => {
+      const secretId = `my-secret-${randomInt(10000)}`;
+
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: secretId,
+        secret: { versionDestroyTtl: { seconds: 86400, nanos: 0 }, replication: { automatic: {} } },
+      });
+
+      const [version] = await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1') } });
+      await client.destroySecretVersion({ name: version.name });
+
+      const [enabledVersion] = await client.enableSecretVersion({ name: version.name });
+
+      expect(enabledVersion.state).to.equal('ENABLED');
+      expect(enabledVersion.scheduledDestroyTime).to.not.be.ok;
+    });
+
+    it('enableSecretVersion on destroyed version returns failed precondition', async () => {
+      const secretId = `my-secret-${randomInt(10000)}`;
+
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: secretId,
+        secret: { replication: { automatic: {} } },
+      });
+
+      const [version] = await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1') } });
+      await client.destroySecretVersion({ name: version.name });
+
+      try {
+        await client.enableSecretVersion({ name: version.name });
+      } catch (err) {
+        // eslint-disable-next-line no-var
+        var error = err;
+      }
+
+      expect(error).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+
+    it('accessSecretVersion by version alias returns aliased version data', async () => {
+      const secretId = `my-secret-${randomInt(10000)}`;
+
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: secretId,
+        secret: { replication: { automatic: {} } },
+      });
+
+      await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1') } });
+      await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-2') } });
+
+      await client.updateSecret({
+        secret: { name: newSecret.name, versionAliases: { current: 1 } },
+        updateMask: { paths: ['version_aliases'] },
+      });
+
+      const [data] = await client.accessSecretVersion({ name: `projects/1234/secrets/${secretId}/versions/current` });
+      expect(data.name).to.equal(`projects/1234/secrets/${secretId}/versions/1`);
+      expect(data.payload.data.toString()).to.equal('version-1');
+    });
+
+    it('accessSecretVersion of disabled version returns failed precondition', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: { replication: { automatic: {} } },
+      });
+
+      const [version] = await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1') } });
+      await client.disableSecretVersion({ name: version.name });
+
+      try {
+        await client.accessSecretVersion({ name: `${newSecret.name}/versions/latest` });
+      } catch (err) {
+        // eslint-disable-next-line no-var
+        var error = err;
+      }
+
+      expect(error.code).to.equal(RpcCodes.FAILED_PRECONDITION);
+    });
+
+    it('addSecretVersion with mismatching checksum returns invalid argument', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: { replication: { automatic: {} } },
+      });
+
+      try {
+        await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1'), dataCrc32c: 1 } });
+      } catch (err) {
+        // eslint-disable-next-line no-var
+        var error = err;
+      }
+
+      expect(error.code).to.equal(RpcCodes.INVALID_ARGUMENT);
+    });
+
+    it('accessSecretVersion returns payload checksum', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: { replication: { automatic: {} } },
+      });
+
+      const [version] = await client.addSecretVersion({
+        parent: newSecret.name,
+        payload: { data: Buffer.from('123456789'), dataCrc32c: 0xe3069283 },
+      });
+      expect(version.clientSpecifiedPayloadChecksum).to.be.true;
+
+      const [data] = await client.accessSecretVersion({ name: version.name });
+      expect(Number(data.payload.dataCrc32c)).to.equal(0xe3069283);
+    });
+
+    it('createSecret with ttl sets expire time', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: { replication: { automatic: {} }, ttl: { seconds: 3600 } },
+      });
+
+      expect(Number(newSecret.expireTime.seconds)).to.be.within(Math.floor(Date.now() / 1000) + 3590, Math.floor(Date.now() / 1000) + 3600);
+      expect(newSecret.ttl).to.not.be.ok;
+    });
+
+    it('updateSecret ttl extends expire time', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: { replication: { automatic: {} }, ttl: { seconds: 60 } },
+      });
+
+      const [secret] = await client.updateSecret({
+        secret: { name: newSecret.name, ttl: { seconds: 7200 } },
+        updateMask: { paths: ['ttl'] },
+      });
+
+      expect(Number(secret.expireTime.seconds)).to.be.within(Math.floor(Date.now() / 1000) + 7190, Math.floor(Date.now() / 1000) + 7200);
+    });
+
+    it('expired secret is deleted', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: { replication: { automatic: {} }, expireTime: { seconds: Math.floor(Date.now() / 1000) + 3600 } },
+      });
+      await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1') } });
+
+      await client.updateSecret({
+        secret: { name: newSecret.name, expireTime: { seconds: Math.floor(Date.now() / 1000) - 1 } },
+        updateMask: { paths: ['expire_time'] },
+      });
+
+      try {
+        await client.accessSecretVersion({ name: `${newSecret.name}/versions/latest` });
+      } catch (err) {
+        // eslint-disable-next-line no-var
+        var error = err;
+      }
+
+      expect(error.code).to.equal(RpcCodes.NOT_FOUND);
+    });
+
+    it('rotation period is input only and not returned', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: 1800000000 }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+
+      expect(Number(newSecret.rotation.nextRotationTime.seconds)).to.equal(1800000000);
+      expect(newSecret.rotation.rotationPeriod).to.not.be.ok;
+
+      const [secret] = await client.getSecret({ name: newSecret.name });
+      expect(secret.rotation.rotationPeriod).to.not.be.ok;
+    });
+
+    it('updateSecret rotation next rotation time path keeps rotation period', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: 1800000000 }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+
+      const [secret] = await client.updateSecret({
+        secret: { name: newSecret.name, rotation: { nextRotationTime: { seconds: 1800003600 } } },
+        updateMask: { paths: ['rotation.next_rotation_time'] },
+      });
+
+      expect(Number(secret.rotation.nextRotationTime.seconds)).to.equal(1800003600);
+      expect(Number(getSecret(newSecret.name).secret.rotation.rotationPeriod.seconds)).to.equal(3600);
+    });
+
+    it('createSecret in location returns regional secret without replication', async () => {
+      const [newSecret] = await client.createSecret({
+        parent: 'projects/1234/locations/europe-north1',
+        secretId: `my-secret-${randomInt(10000)}`,
+        secret: {},
+      });
+
+      expect(newSecret.name).to.match(/^projects\/1234\/locations\/europe-north1\/secrets\/my-secret-\d+$/);
+      expect(newSecret.replication).to.not.be.ok;
+
+      const [version] = await client.addSecretVersion({ parent: newSecret.name, payload: { data: Buffer.from('version-1') } });
+      expect(version.name).to.equal(`${newSecret.name}/versions/1`);
+
+      const [data] = await client.accessSecretVersion({ name: `${newSecret.name}/versions/latest` });
+      expect(data.payload.data.toString()).to.equal('version-1');
+    });
+
+    it('createSecret in location with replication returns invalid argument', async () => {
+      try {
+        await client.createSecret({
+          parent: 'projects/1234/locations/europe-north1',
+          secretId: `my-secret-${randomInt(10000)}`,
+          secret: { replication: { automatic: {} } },
+        });
+      } catch (err) {
+        // eslint-disable-next-line no-var
+        var error = err;
+      }
+
+      expect(error.code).to.equal(RpcCodes.INVALID_ARGUMENT);
+    });
+
+    ['foo', 'projects/foo', 'projects/123a/secrets/bar', 'projects/123/locations/secrets/bar'].forEach((name) => {
       it(`getSecret with malformatted name (${name}) throws`, async () => {
         try {
           await client.getSecret({ name });
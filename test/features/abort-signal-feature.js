@@ -0,0 +1,339 @@
+import { randomInt } from 'node:crypto';
+import net from 'node:net';
+import path from 'node:path/posix';
+import { mock } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { ConcurrentSecret, NoVersionsError } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset, RpcCodes } from '../helpers/fake-server.js';
+
+Feature('abort signal and operation deadline', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+  after(() => mock.restoreAll());
+
+  Scenario('instance is shutting down while secret is updated', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    const controller = new AbortController();
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with abort signal', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { signal: controller.signal });
+    });
+
+    let updateSignal;
+    let result;
+    When('signal is aborted while get new secret function is running', async () => {
+      result = await concurrentSecret
+        .optimisticUpdate((ctx) => {
+          updateSignal = ctx.signal;
+          controller.abort(new Error('SIGTERM'));
+          return 'version-2';
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails with abort reason', () => {
+      expect(result).to.match(/SIGTERM/);
+    });
+
+    And('get new secret function signal was aborted', () => {
+      expect(updateSignal.aborted).to.be.true;
+    });
+
+    And('no version was added and secret is unlocked', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    When('updating again with the aborted signal', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => 'version-3').catch((err) => err);
+    });
+
+    Then('update fails fast with abort reason', () => {
+      expect(result).to.match(/SIGTERM/);
+    });
+
+    And('secret is not locked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+  });
+
+  Scenario('per operation signal and timeout on a long-lived instance', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret without abort signal', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { retry: { maxAttempts: 10, minDelayMs: 50, jitter: false } });
+    });
+
+    let updateSignal;
+    let result;
+    When('request signal is aborted while get new secret function is running', async () => {
+      const controller = new AbortController();
+      result = await concurrentSecret
+        .withOperation({ signal: controller.signal }, () =>
+          concurrentSecret.optimisticUpdate((ctx) => {
+            updateSignal = ctx.signal;
+            controller.abort(new Error('client disconnected'));
+            return 'version-2';
+          })
+        )
+        .catch((err) => err);
+    });
+
+    Then('update fails with abort reason', () => {
+      expect(result).to.match(/client disconnected/);
+      expect(updateSignal.aborted).to.be.true;
+    });
+
+    And('no version was added and secret is unlocked', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    When('updating again without signal', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('update succeeds', async () => {
+      expect(result).to.equal('version-3');
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-3');
+    });
+
+    Given('secret is locked by another process', async () => {
+      await new ConcurrentSecret(secretName, client, { ownerId: 'other-process' }).lock();
+    });
+
+    let called = false;
+    When('updating secret with a per operation timeout', async () => {
+      result = await concurrentSecret
+        .withOperation({ timeoutMs: 100 }, () =>
+          concurrentSecret.optimisticUpdate(() => {
+            called = true;
+            return 'version-4';
+          })
+        )
+        .catch((err) => err);
+    });
+
+    Then('update fails with timeout', () => {
+      expect(result.cause?.name ?? result.name).to.equal('TimeoutError');
+      expect(called).to.be.false;
+    });
+
+    And('reading secret without timeout still works', async () => {
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-3');
+    });
+  });
+
+  Scenario('operation deadline is exceeded while retrying lock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('secret is locked by another process', async () => {
+      await new ConcurrentSecret(secretName, client, { ownerId: 'other-process' }).lock();
+    });
+
+    let result;
+    let called = false;
+    When('updating secret with lock retries and an operation timeout', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, {
+        timeoutMs: 100,
+        retry: { maxAttempts: 10, minDelayMs: 50, jitter: false },
+      });
+      result = await concurrentSecret
+        .optimisticUpdate(() => {
+          called = true;
+          return 'version-2';
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails with timeout', () => {
+      expect(result.cause?.name ?? result.name).to.equal('TimeoutError');
+      expect(called).to.be.false;
+    });
+
+    And('secret is still locked by the other process', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.have.property('locked_by', 'other-process');
+    });
+  });
+
+  Scenario('signal is aborted while request is in flight', () => {
+    const secretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    /** @type {net.Server} */
+    let unresponsiveServer;
+    /** @type {net.Socket[]} */
+    const sockets = [];
+    /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+    let unresponsiveClient;
+    after(async () => {
+      await unresponsiveClient?.close();
+      for (const socket of sockets) socket.destroy();
+      unresponsiveServer?.close();
+    });
+
+    Given('a server that never responds', async () => {
+      unresponsiveServer = net.createServer((socket) => sockets.push(socket));
+      await new Promise((resolve) => unresponsiveServer.listen(0, () => resolve()));
+      unresponsiveClient = new secretManager.v1.SecretManagerServiceClient({
+        apiEndpoint: 'localhost',
+        // @ts-ignore
+        port: unresponsiveServer.address().port,
+        auth: fakeAuth(),
+      });
+    });
+
+    const controller = new AbortController();
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with abort signal', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, unresponsiveClient, { signal: controller.signal });
+    });
+
+    let result;
+    When('signal is aborted while getting latest version', async () => {
+      const pending = concurrentSecret.getLatestVersion().catch((err) => err);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      controller.abort(new Error('SIGTERM'));
+      result = await pending;
+    });
+
+    Then('in flight request was cancelled with abort reason', () => {
+      expect(result).to.have.property('code', RpcCodes.CANCELLED);
+      expect(result.message).to.match(/SIGTERM/);
+    });
+
+    When('getting latest version again with the aborted signal', async () => {
+      result = await concurrentSecret.getLatestVersion().catch((err) => err);
+    });
+
+    Then('it fails fast with abort reason', () => {
+      expect(result).to.not.have.property('code');
+      expect(result).to.match(/SIGTERM/);
+    });
+  });
+
+  Scenario('operation deadline is exceeded in get new secret function', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let result;
+    When('updating secret with a get new secret function that waits for signal', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { timeoutMs: 200 });
+      result = await concurrentSecret
+        .optimisticUpdate(({ signal }) => {
+          return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          });
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails with timeout', () => {
+      expect(result.name).to.equal('TimeoutError');
+    });
+
+    And('secret is unlocked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+    });
+  });
+
+  Scenario('operation deadline is exceeded while getting latest version', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with operation timeout where getting version is slower than the timeout', () => {
+      concurrentSecret = new ConcurrentSecret(
+        secretName,
+        { apiEndpoint: 'localhost', port: server.origin.port, auth: fakeAuth() },
+        { timeoutMs: 100 }
+      );
+      mock.method(concurrentSecret.client, 'getSecretVersion', async () => {
+        await sleep(150);
+        throw Object.assign(new Error(`${RpcCodes.NOT_FOUND} NOT_FOUND: version not found`), { code: RpcCodes.NOT_FOUND });
+      });
+      mock.method(concurrentSecret.client, 'getSecret');
+    });
+    after(() => concurrentSecret.client.close());
+
+    let result;
+    When('getting latest version', async () => {
+      result = await concurrentSecret.getLatestVersion(true).catch((err) => err);
+    });
+
+    Then('it fails without reading secret since the deadline is shared by the operation', () => {
+      expect(result).to.not.be.instanceOf(NoVersionsError);
+      expect(result).to.have.property('code', RpcCodes.NOT_FOUND);
+      // @ts-ignore
+      expect(concurrentSecret.client.getSecret.mock.callCount()).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+
+Feature('audit trail', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('rotations are recorded in bounded audit trail', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is updated with audit option and reason from update arguments', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, {
+        ownerId: 'rotator',
+        audit: { maxEntries: 2, reason: (reason) => reason },
+      });
+      await concurrentSecret.optimisticUpdate(() => 'version-2', 'scheduled');
+    });
+
+    Then('secret has rotation counter and audit record annotations', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.have.property('rotation_count', '1');
+      expect(JSON.parse(secret.annotations.rotation_1)).to.deep.include({
+        rotatedBy: 'rotator',
+        reason: 'scheduled',
+        operation: 'update',
+        previousVersion: path.join(secretName, 'versions/1'),
+        newVersion: path.join(secretName, 'versions/2'),
+      });
+    });
+
+    When('secret is updated twice more', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-3', 'leaked');
+      await concurrentSecret.optimisticUpdate(() => 'version-4', 'scheduled');
+    });
+
+    Then('only the two most recent audit records are kept', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.have.property('rotation_count', '3');
+      expect(secret.annotations).to.not.have.property('rotation_1');
+      expect(secret.annotations).to.have.property('rotation_2');
+      expect(secret.annotations).to.have.property('rotation_3');
+    });
+
+    And('rotation history is parsed into entries, most recent first', async () => {
+      const history = await concurrentSecret.getRotationHistory();
+      expect(history).to.have.length(2);
+      expect(history[0]).to.deep.include({
+        rotation: 3,
+        rotatedBy: 'rotator',
+        reason: 'scheduled',
+        operation: 'update',
+        previousVersion: path.join(secretName, 'versions/3'),
+        newVersion: path.join(secretName, 'versions/4'),
+      });
+      expect(history[0].rotatedAt).to.be.instanceOf(Date);
+      expect(history[1]).to.have.property('rotation', 2);
+      expect(history[1]).to.have.property('reason', 'leaked');
+    });
+  });
+
+  Scenario('rollback is recorded in audit trail', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with two enabled versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-2') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is rolled back with audit reason', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { audit: { reason: 'broken version' } });
+      await concurrentSecret.rollback();
+    });
+
+    Then('rollback is in rotation history', async () => {
+      const [entry] = await concurrentSecret.getRotationHistory();
+      expect(entry).to.deep.include({
+        rotation: 1,
+        reason: 'broken version',
+        operation: 'rollback',
+        previousVersion: path.join(secretName, 'versions/2'),
+        newVersion: path.join(secretName, 'versions/3'),
+      });
+    });
+  });
+
+  Scenario('audit option is not set', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is updated', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('rotation history is empty', async () => {
+      expect(await concurrentSecret.getRotationHistory()).to.deep.equal([]);
+    });
+  });
+});
@@ -111,4 +111,42 @@ Feature('call options option', () => {
       expect(getSecret(secretName).metadata.getMap()).to.have.property('traceparent', '00-traceid2-spanid-00');
     });
   });
+
+  Scenario('operations with signal and timeout and call options function that returns a constant object', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    const callOptions = { otherArgs: { headers: { traceparent: '00-traceid3-spanid-00' } } };
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret is configured with call options function that returns the same object', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, {
+        callOptions() {
+          return callOptions;
+        },
+      });
+    });
+
+    When('getting latest version in three operations with signal and timeout', async () => {
+      const getLatestVersion = () => concurrentSecret.getLatestVersion();
+      for (let i = 0; i < 3; i++) {
+        await concurrentSecret.withOperation({ signal: new AbortController().signal, timeoutMs: 10000 }, getLatestVersion);
+      }
+    });
+
+    Then('call options object was not given operation timeout or abort interceptors', () => {
+      expect(callOptions).to.not.have.property('timeout');
+      expect(callOptions.otherArgs).to.not.have.property('options');
+    });
+
+    And('requests were made with call options headers', () => {
+      expect(getSecret(secretName).metadata.getMap()).to.have.property('traceparent', '00-traceid3-spanid-00');
+    });
+  });
 });
@@ -0,0 +1,167 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('coalesce concurrent updates within process', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('two instances update the same secret simultaneously', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let first;
+    /** @type {ConcurrentSecret} */
+    let second;
+    const calls = [];
+    /** @type {PromiseSettledResult<string>[]} */
+    let results;
+    When('two instances with coalescing enabled update secret simultaneously', async () => {
+      first = new ConcurrentSecret(secretName, client, { coalesceUpdates: true });
+      second = new ConcurrentSecret(secretName, client, { coalesceUpdates: true });
+      results = await Promise.allSettled([
+        first.optimisticUpdate(() => {
+          calls.push('first');
+          return 'version-2';
+        }),
+        second.optimisticUpdate(() => {
+          calls.push('second');
+          return 'version-from-second';
+        }),
+      ]);
+    });
+
+    Then('both updates resolve with the value of the single rotation', () => {
+      expect(results.map((r) => r.status)).to.deep.equal(['fulfilled', 'fulfilled']);
+      expect(results.map((r) => r.status === 'fulfilled' && r.value)).to.deep.equal(['version-2', 'version-2']);
+    });
+
+    And('only the first update function was called', () => {
+      expect(calls).to.deep.equal(['first']);
+    });
+
+    And('both instances have the updated version name', async () => {
+      const latestVersion = await first.getLatestVersion();
+      expect(first.updatedVersionName).to.equal(latestVersion.name);
+      expect(second.updatedVersionName).to.equal(latestVersion.name);
+      expect(latestVersion.name).to.match(/\/versions\/2$/);
+    });
+
+    When('secret is updated again after the coalesced update', () => {
+      return second.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('a new rotation is made', async () => {
+      expect((await second.getLatestValue()).toString()).to.equal('version-3');
+    });
+  });
+
+  Scenario('coalesced update fails', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {PromiseSettledResult<string>[]} */
+    let results;
+    When('two instances with coalescing enabled update secret simultaneously and the update function fails', async () => {
+      results = await Promise.allSettled([
+        new ConcurrentSecret(secretName, client, { coalesceUpdates: true }).optimisticUpdate(() => Promise.reject(new Error('Unexpected'))),
+        new ConcurrentSecret(secretName, client, { coalesceUpdates: true }).optimisticUpdate(() => 'version-2'),
+      ]);
+    });
+
+    Then('both updates are rejected with the update function error', () => {
+      expect(results.map((r) => r.status === 'rejected' && r.reason.cause.message)).to.deep.equal(['Unexpected', 'Unexpected']);
+    });
+  });
+
+  Scenario('coalescing is disabled by default', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {PromiseSettledResult<string>[]} */
+    let results;
+    When('two instances without coalesce updates option update secret simultaneously', async () => {
+      results = await Promise.allSettled([
+        new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2'),
+        new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-from-second'),
+      ]);
+    });
+
+    Then('second update fails since secret is locked', () => {
+      expect(results[0].status).to.equal('fulfilled');
+      expect(results[1].status === 'rejected' && results[1].reason).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+  });
+
+  Scenario('two caches in the same process update simultaneously', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('initial-value') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache1;
+    /** @type {SecretsCache} */
+    let cache2;
+    When('two caches with coalescing enabled update secret simultaneously', async () => {
+      let count = 0;
+      const updateMethod = () => `updated-value-${++count}`;
+
+      cache1 = new SecretsCache(client);
+      cache1.set(secretName, 'initial-value', updateMethod, { coalesceUpdates: true });
+      cache2 = new SecretsCache(client);
+      cache2.set(secretName, 'initial-value', updateMethod, { coalesceUpdates: true });
+
+      await Promise.all([cache1.update(secretName), cache2.update(secretName)]);
+    });
+
+    Then('both caches have the value of the single rotation', async () => {
+      expect((await cache1.get(secretName)).value).to.equal('updated-value-1');
+      expect((await cache2.get(secretName)).value).to.equal('updated-value-1');
+      expect((await cache2.get(secretName)).versionName).to.match(/\/versions\/2$/);
+    });
+  });
+});
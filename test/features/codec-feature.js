@@ -0,0 +1,195 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, SecretsCache, SecretDecodeError } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('structured secret payloads', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('update secret with json codec', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with a json version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({
+        parent: secretName,
+        payload: { data: Buffer.from(JSON.stringify({ clientId: 'id', clientSecret: 'secret-1' })) },
+      });
+    });
+
+    const validateCalls = [];
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with json codec', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, {
+        codec: 'json',
+        validate(newValue, previousValue) {
+          validateCalls.push([newValue, previousValue]);
+        },
+      });
+    });
+
+    let result;
+    When('updating secret with an object', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => ({ clientId: 'id', clientSecret: 'secret-2' }));
+    });
+
+    Then('the object is returned', () => {
+      expect(result).to.deep.equal({ clientId: 'id', clientSecret: 'secret-2' });
+    });
+
+    And('validate function was called with decoded values', () => {
+      expect(validateCalls).to.deep.equal([
+        [
+          { clientId: 'id', clientSecret: 'secret-2' },
+          { clientId: 'id', clientSecret: 'secret-1' },
+        ],
+      ]);
+    });
+
+    And('latest version data is json', async () => {
+      const [data] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/latest') });
+      expect(data.payload.data.toString()).to.equal('{"clientId":"id","clientSecret":"secret-2"}');
+    });
+
+    When('getting latest value', async () => {
+      result = await concurrentSecret.getLatestValue();
+    });
+
+    Then('decoded value is returned', () => {
+      expect(result).to.deep.equal({ clientId: 'id', clientSecret: 'secret-2' });
+    });
+  });
+
+  Scenario('cached secret with json codec', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with a json version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({
+        parent: secretName,
+        payload: { data: Buffer.from(JSON.stringify({ token: 'token-1', expires: 1 })) },
+      });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    And('a secrets cache with secret using json codec', () => {
+      cache = new SecretsCache(client);
+      cache.set(secretName, null, () => ({ token: 'token-2', expires: 2 }), { codec: 'json' });
+    });
+
+    Then('cached secret value is parsed', async () => {
+      expect((await cache.get(secretName)).value).to.deep.equal({ token: 'token-1', expires: 1 });
+    });
+
+    When('cached secret is updated', async () => {
+      await cache.update(secretName);
+    });
+
+    Then('cached secret value is the new object', async () => {
+      expect((await cache.get(secretName)).value).to.deep.equal({ token: 'token-2', expires: 2 });
+    });
+  });
+
+  Scenario('secret version data cannot be decoded', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with a garbage version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('{garbage') } });
+    });
+
+    let result;
+    When('getting latest value with json codec', async () => {
+      result = await new ConcurrentSecret(secretName, client, { codec: 'json' }).getLatestValue().catch((err) => err);
+    });
+
+    Then('decode error is thrown', () => {
+      expect(result).to.be.instanceOf(SecretDecodeError);
+      expect(result.code).to.equal(RpcCodes.DATA_LOSS);
+      expect(result).to.match(/versions\/1 could not be decoded/);
+      expect(result.cause).to.be.instanceOf(SyntaxError);
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    When('fetching secret with cache using json codec', async () => {
+      cache = new SecretsCache(client);
+      cache.set(secretName, { token: 'cached' }, () => ({ token: 'new' }), {
+        codec: 'json',
+        versionName: path.join(secretName, 'versions/0'),
+      });
+      result = await cache.update(secretName).catch((err) => err);
+    });
+
+    Then('decode error is thrown', () => {
+      expect(result).to.be.instanceOf(SecretDecodeError);
+    });
+
+    And('garbage is not cached', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.deep.equal({ token: 'cached' });
+    });
+  });
+
+  Scenario('custom codec', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with base64 codec', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, {
+        codec: {
+          encode: (value) => Buffer.from(value).toString('base64'),
+          decode: (data) => Buffer.from(data.toString(), 'base64').toString(),
+        },
+      });
+    });
+
+    When('updating secret', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'plain-text');
+    });
+
+    Then('latest version data is encoded', async () => {
+      const [data] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/latest') });
+      expect(data.payload.data.toString()).to.equal(Buffer.from('plain-text').toString('base64'));
+    });
+
+    And('latest value is decoded', async () => {
+      expect(await concurrentSecret.getLatestValue()).to.equal('plain-text');
+    });
+  });
+});
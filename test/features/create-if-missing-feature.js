@@ -0,0 +1,115 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, SecretNotFoundError, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('create secret if missing', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('update secret that does not exist with declared configuration', () => {
+    const secretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('updating missing secret with create if missing configuration', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, {
+        createIfMissing: {
+          versionDestroyTtl: { seconds: 86400 },
+          labels: { team: 'platform' },
+          annotations: { owner: 'platform' },
+        },
+      });
+      await concurrentSecret.optimisticUpdate(() => 'version-1');
+    });
+
+    Then('secret was created with declared configuration', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.labels).to.deep.equal({ team: 'platform' });
+      expect(secret.annotations).to.have.property('owner', 'platform');
+      expect(secret.versionDestroyTtl).to.have.property('seconds', '86400');
+      expect(secret.replication).to.have.property('automatic');
+    });
+
+    And('secret has first version', async () => {
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-1');
+      expect(concurrentSecret.updatedVersionName).to.match(/\/versions\/1$/);
+    });
+  });
+
+  Scenario('several instances start at once', () => {
+    const secretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    /** @type {PromiseSettledResult<any>[]} */
+    let results;
+    When('two instances lock missing secret simultaneously', async () => {
+      results = await Promise.allSettled([
+        new ConcurrentSecret(secretName, client, { createIfMissing: true }).lock(),
+        new ConcurrentSecret(secretName, client, { createIfMissing: true }).lock(),
+      ]);
+    });
+
+    Then('one instance got the lock', () => {
+      expect(results.filter((r) => r.status === 'fulfilled')).to.have.length(1);
+    });
+
+    And('the other failed on lock contention instead of secret already exists', () => {
+      const [rejected] = results.filter((r) => r.status === 'rejected');
+      expect(rejected.status === 'rejected' && rejected.reason).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+  });
+
+  Scenario('secret does not exist and create if missing is not set', () => {
+    const secretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    let error;
+    When('updating missing secret', async () => {
+      error = await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-1').catch((err) => err);
+    });
+
+    Then('update fails with secret not found', async () => {
+      expect(error).to.be.instanceOf(SecretNotFoundError);
+      const secretError = await client.getSecret({ name: secretName }).catch((err) => err);
+      expect(secretError).to.have.property('code', RpcCodes.NOT_FOUND);
+    });
+  });
+
+  Scenario('secrets cache bootstraps missing secret', () => {
+    const secretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    /** @type {SecretsCache} */
+    let cache;
+    When('missing secret is set in cache with update method and create if missing', () => {
+      cache = new SecretsCache(client);
+      cache.set(secretName, null, () => 'bootstrapped-value', { createIfMissing: true });
+    });
+
+    Then('cached value is the update method value', async () => {
+      expect((await cache.get(secretName)).value).to.equal('bootstrapped-value');
+    });
+
+    And('secret was created with a version', async () => {
+      const [version] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/latest') });
+      expect(version.payload.data.toString()).to.equal('bootstrapped-value');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import {
+  ConcurrentSecret,
+  ConcurrentSecretError,
+  EtagConflictError,
+  NoVersionsError,
+  SecretLockedError,
+  SecretNotFoundError,
+  UpdateFunctionError,
+} from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('error taxonomy', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('secret is locked by another process', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret locked by another process', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+      await new ConcurrentSecret(secretName, client, { ownerId: 'other-process' }).lock();
+    });
+
+    let error;
+    When('updating secret', async () => {
+      error = await new ConcurrentSecret(secretName, client, { gracePeriodMs: 30000 })
+        .optimisticUpdate(() => 'version-2')
+        .catch((err) => err);
+    });
+
+    Then('update fails with secret locked error', () => {
+      expect(error).to.be.instanceOf(SecretLockedError);
+      expect(error).to.be.instanceOf(ConcurrentSecretError);
+      expect(error).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+
+    And('error has lock owner, lock time, and a retry hint', () => {
+      expect(error).to.have.property('lockedBy', 'other-process');
+      expect(error.lockedAt).to.be.instanceOf(Date);
+      expect(error.retryAfterMs).to.be.within(1, 30000);
+    });
+  });
+
+  Scenario('secret etag has changed while locking', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let error;
+    When('secret is updated from somewhere else between read and lock', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret._prepare();
+      await client.updateSecret({ secret: { name: secretName, annotations: { foo: 'bar' } }, updateMask: { paths: ['annotations'] } });
+
+      error = await concurrentSecret.lock().catch((err) => err);
+    });
+
+    Then('lock fails with etag conflict error', () => {
+      expect(error).to.be.instanceOf(EtagConflictError);
+      expect(error).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+      expect(error.cause).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+  });
+
+  Scenario('secret does not exist', () => {
+    const secretName = `projects/1234/secrets/my-missing-secret-${randomInt(10000)}`;
+
+    Then('get latest version throws secret not found error', async () => {
+      const error = await new ConcurrentSecret(secretName, client).getLatestVersion(true).catch((err) => err);
+      expect(error).to.be.instanceOf(SecretNotFoundError);
+      expect(error).to.have.property('code', RpcCodes.NOT_FOUND);
+    });
+
+    And('get latest data throws secret not found error', async () => {
+      const error = await new ConcurrentSecret(secretName, client).getLatestData(true).catch((err) => err);
+      expect(error).to.be.instanceOf(SecretNotFoundError);
+    });
+
+    And('get latest version without throw on not found returns null', async () => {
+      expect(await new ConcurrentSecret(secretName, client).getLatestVersion()).to.be.null;
+    });
+
+    And('update throws secret not found error', async () => {
+      const error = await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-1').catch((err) => err);
+      expect(error).to.be.instanceOf(SecretNotFoundError);
+      expect(error.cause).to.have.property('code', RpcCodes.NOT_FOUND);
+    });
+  });
+
+  Scenario('secret has no versions', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    Then('get latest version throws no versions error', async () => {
+      const error = await new ConcurrentSecret(secretName, client).getLatestVersion(true).catch((err) => err);
+      expect(error).to.be.instanceOf(NoVersionsError);
+      expect(error).to.have.property('code', RpcCodes.NOT_FOUND);
+    });
+
+    And('get latest data throws no versions error', async () => {
+      const error = await new ConcurrentSecret(secretName, client).getLatestData(true).catch((err) => err);
+      expect(error).to.be.instanceOf(NoVersionsError);
+    });
+  });
+
+  Scenario('update function fails', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    const cause = new Error('Rotation failed');
+    let error;
+    When('update function throws', async () => {
+      error = await new ConcurrentSecret(secretName, client)
+        .optimisticUpdate(() => {
+          throw cause;
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails with update function error with function error as cause', () => {
+      expect(error).to.be.instanceOf(UpdateFunctionError);
+      expect(error).to.have.property('code', RpcCodes.UNKNOWN);
+      expect(error.cause).to.equal(cause);
+      expect(error.message).to.match(/Rotation failed/);
+    });
+  });
+});
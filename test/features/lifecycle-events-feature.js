@@ -0,0 +1,179 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('lifecycle events', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  /**
+   * @param {ConcurrentSecret} concurrentSecret
+   * @returns {[string, any][]} emitted events
+   */
+  function recordEvents(concurrentSecret) {
+    /** @type {[string, any][]} */
+    const events = [];
+    for (const eventName of ['locked', 'lockContended', 'versionAdded', 'versionDestroyed', 'unlocked', 'updateFailed']) {
+      // @ts-ignore
+      concurrentSecret.on(eventName, (event) => events.push([eventName, event]));
+    }
+    return events;
+  }
+
+  Scenario('successful update', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    /** @type {[string, any][]} */
+    let events;
+    And('a concurrent secret with event listeners', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      events = recordEvents(concurrentSecret);
+    });
+
+    When('secret is updated', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('locked, version added, version destroyed, and unlocked events were emitted in order', () => {
+      expect(events.map(([eventName]) => eventName)).to.deep.equal(['locked', 'versionAdded', 'versionDestroyed', 'unlocked']);
+    });
+
+    And('locked event has etag, fencing token, and duration', () => {
+      const [, lockedEvent] = events[0];
+      expect(lockedEvent).to.have.property('name', secretName);
+      expect(lockedEvent).to.have.property('etag').that.is.ok;
+      expect(lockedEvent).to.have.property('fencingToken', 1);
+      expect(lockedEvent).to.have.property('attempts', 1);
+      expect(lockedEvent).to.have.property('durationMs').that.is.a('number');
+    });
+
+    And('version events have version names', () => {
+      expect(events[1][1]).to.have.property('versionName', path.join(secretName, 'versions/2'));
+      expect(events[1][1]).to.have.property('etag').that.is.ok;
+      expect(events[2][1]).to.have.property('versionName', path.join(secretName, 'versions/1'));
+    });
+
+    And('unlocked event has duration the lock was held', () => {
+      const [, unlockedEvent] = events[3];
+      expect(unlockedEvent).to.have.property('name', secretName);
+      expect(unlockedEvent).to.have.property('etag').that.is.ok;
+      expect(unlockedEvent).to.have.property('durationMs').that.is.a('number');
+    });
+  });
+
+  Scenario('cached secret keeps event listeners when cache is refreshed', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    /** @type {[string, any][]} */
+    let events;
+    const onceEvents = [];
+    And('a cached secret with update method and event listeners', async () => {
+      cache = new SecretsCache(client);
+      let version = 1;
+      cache.set(secretName, 'version-1', () => `version-${++version}`, { versionName: `${secretName}/versions/1` });
+      const cachedSecret = await cache.get(secretName);
+      events = recordEvents(cachedSecret);
+      cachedSecret.once('versionAdded', (event) => onceEvents.push(event));
+    });
+
+    When('cached secret is updated', async () => {
+      await cache.update(secretName);
+    });
+
+    Then('version added was emitted', () => {
+      expect(events.filter(([eventName]) => eventName === 'versionAdded')).to.have.length(1);
+      expect(onceEvents).to.have.length(1);
+    });
+
+    When('refreshed cached secret is updated again', async () => {
+      const cachedSecret = await cache.update(secretName);
+      expect(cachedSecret.value).to.equal('version-3');
+    });
+
+    Then('version added was emitted by the refreshed cached secret', () => {
+      expect(events.filter(([eventName]) => eventName === 'versionAdded').map(([, event]) => event.versionName)).to.deep.equal([
+        `${secretName}/versions/2`,
+        `${secretName}/versions/3`,
+      ]);
+    });
+
+    But('once listener was not called again', () => {
+      expect(onceEvents).to.have.length(1);
+    });
+  });
+
+  Scenario('update fails since secret is locked by another process', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('secret is locked by another process', async () => {
+      await new ConcurrentSecret(secretName, client, { ownerId: 'other-process' }).lock();
+    });
+
+    /** @type {[string, any][]} */
+    let events;
+    When('updating secret with two lock attempts', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { retry: { maxAttempts: 2, minDelayMs: 1 } });
+      events = recordEvents(concurrentSecret);
+      await concurrentSecret.optimisticUpdate(() => 'version-2').catch(() => {});
+    });
+
+    Then('lock contended was emitted for every attempt followed by update failed', () => {
+      expect(events.map(([eventName]) => eventName)).to.deep.equal(['lockContended', 'lockContended', 'updateFailed']);
+      expect(events[0][1]).to.have.property('attempt', 1);
+      expect(events[1][1]).to.have.property('attempt', 2);
+      expect(events[1][1].error.code).to.equal(RpcCodes.FAILED_PRECONDITION);
+    });
+
+    And('update failed event has error and duration', () => {
+      const [, updateFailedEvent] = events[2];
+      expect(updateFailedEvent).to.have.property('name', secretName);
+      expect(updateFailedEvent.error).to.match(/other-process/);
+      expect(updateFailedEvent).to.have.property('durationMs').that.is.a('number');
+    });
+  });
+});
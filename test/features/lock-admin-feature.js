@@ -0,0 +1,124 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+import * as ck from 'chronokinesis';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+
+Feature('inspect and force release lock', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+  after(ck.reset);
+
+  Scenario('pod dies while holding lock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    after(ck.reset);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, annotations: { foo: 'bar' } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let admin;
+    let lockInfo;
+    When('getting lock info of an unlocked secret', async () => {
+      admin = new ConcurrentSecret(secretName, client, { gracePeriodMs: 30000 });
+      lockInfo = await admin.getLockInfo();
+    });
+
+    Then('secret is not locked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(lockInfo).to.deep.equal({
+        locked: false,
+        lockedBy: undefined,
+        lockedAt: undefined,
+        expiresAt: undefined,
+        expired: false,
+        fencingToken: undefined,
+        etag: secret.etag,
+      });
+    });
+
+    let lockedAt;
+    Given('a pod has locked the secret and died', async () => {
+      ck.freeze();
+      lockedAt = new Date();
+      await new ConcurrentSecret(secretName, client, { ownerId: 'dead-pod' }).lock();
+    });
+
+    When('getting lock info', async () => {
+      lockInfo = await admin.getLockInfo();
+    });
+
+    Then('lock holder, lock time, expiry, and etag is returned', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(lockInfo).to.deep.equal({
+        locked: true,
+        lockedBy: 'dead-pod',
+        lockedAt,
+        expiresAt: new Date(lockedAt.getTime() + 30000),
+        expired: false,
+        fencingToken: 1,
+        etag: secret.etag,
+      });
+    });
+
+    let result;
+    When('forcing unlock if locked before lock time', async () => {
+      result = await admin.forceUnlock({ ifLockedBefore: lockedAt });
+    });
+
+    Then('lock is kept', async () => {
+      expect(result).to.be.false;
+      expect(await admin.getLockInfo()).to.have.property('locked', true);
+    });
+
+    When('forcing unlock if locked before now', async () => {
+      ck.travel(Date.now() + 1000);
+      result = await admin.forceUnlock({ ifLockedBefore: new Date() });
+    });
+
+    Then('lock is released', async () => {
+      expect(result).to.be.true;
+
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.deep.equal({ foo: 'bar', fencing_token: '1' });
+    });
+
+    When('forcing unlock again', async () => {
+      result = await admin.forceUnlock();
+    });
+
+    Then('nothing is released', () => {
+      expect(result).to.be.false;
+    });
+
+    And('secret can be updated', async () => {
+      expect(await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2')).to.equal('version-2');
+    });
+  });
+});
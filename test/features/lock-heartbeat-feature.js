@@ -0,0 +1,162 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('lock heartbeat', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('update function runs longer than grace period', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let promisedResult;
+    let resolveUpdate;
+    /** @type {AbortSignal} */
+    let signal;
+    When('updating concurrent secret with heartbeat and a slow update function', () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { gracePeriodMs: 100, heartbeatIntervalMs: 20 });
+      promisedResult = concurrentSecret
+        .optimisticUpdate((context) => {
+          signal = context.signal;
+          return new Promise((resolve) => (resolveUpdate = resolve));
+        })
+        .catch((err) => err);
+    });
+
+    And('grace period has passed', () => {
+      return new Promise((resolve) => setTimeout(resolve, 150));
+    });
+
+    let lockResult;
+    When('another process attempts to lock secret', async () => {
+      lockResult = await new ConcurrentSecret(secretName, client, { gracePeriodMs: 100 }).lock().catch((err) => err);
+    });
+
+    Then('lock fails since lock was renewed', () => {
+      expect(lockResult.code, lockResult?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(lockResult).to.match(/by another process/i);
+    });
+
+    And('update function signal is not aborted', () => {
+      expect(signal.aborted).to.be.false;
+    });
+
+    When('update function completes', () => {
+      resolveUpdate('version-2');
+    });
+
+    Then('update succeeds', async () => {
+      const result = await promisedResult;
+      expect(result, result?.message).to.equal('version-2');
+    });
+
+    And('secret is unlocked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+      expect(secret.annotations).to.have.property('updated_at');
+    });
+  });
+
+  Scenario('lock is taken by another process while update function is running', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let promisedResult;
+    /** @type {AbortSignal} */
+    let signal;
+    When('updating concurrent secret with heartbeat and an update function awaiting abort', () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { heartbeatIntervalMs: 20 });
+      promisedResult = concurrentSecret
+        .optimisticUpdate((context) => {
+          signal = context.signal;
+          return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          });
+        })
+        .catch((err) => err);
+    });
+
+    And('secret is updated by another process', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      await client.updateSecret({ secret: { name: secretName }, updateMask: { paths: [] } });
+    });
+
+    Then('update function signal is aborted', async () => {
+      const result = await promisedResult;
+      expect(signal.aborted).to.be.true;
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/lock .+ was lost/i);
+    });
+
+    And('no new version was added', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+    });
+  });
+
+  Scenario('update function ignores abort signal', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let result;
+    When('updating concurrent secret while secret is updated by another process', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { heartbeatIntervalMs: 10 });
+      result = await concurrentSecret
+        .optimisticUpdate(async () => {
+          await client.updateSecret({ secret: { name: secretName }, updateMask: { paths: [] } });
+          await new Promise((resolve) => setTimeout(resolve, 50));
+          return 'version-2';
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/lock .+ was lost/i);
+    });
+
+    And('no new version was added', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+import * as ck from 'chronokinesis';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('lock owner and fencing token', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+  after(ck.reset);
+
+  Scenario('secret is updated by two owners', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    after(ck.reset);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let podA;
+    When('pod A locks secret', async () => {
+      ck.freeze();
+      podA = new ConcurrentSecret(secretName, client, { ownerId: 'pod-a' });
+      await podA.lock();
+    });
+
+    Then('secret lock annotations has owner and fencing token', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(secret.annotations).to.deep.equal({ locked_at: new Date().toISOString(), locked_by: 'pod-a', fencing_token: '1' });
+      expect(podA.fencingToken).to.equal(1);
+    });
+
+    let result;
+    When('pod B attempts to update secret', async () => {
+      result = await new ConcurrentSecret(secretName, client, { ownerId: 'pod-b' }).optimisticUpdate(() => 'version-2').catch((err) => err);
+    });
+
+    Then('update fails with lock owner in message', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/by another process pod-a/i);
+    });
+
+    When('pod A releases lock', () => {
+      return podA.unlock();
+    });
+
+    Then('lock annotations are removed but fencing token is kept', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(secret.annotations).to.deep.equal({ fencing_token: '1' });
+    });
+
+    let context;
+    When('pod B updates secret', async () => {
+      result = await new ConcurrentSecret(secretName, client, { ownerId: 'pod-b' }).optimisticUpdate((ctx) => {
+        context = ctx;
+        return 'version-2';
+      });
+    });
+
+    Then('update function got an increased fencing token', () => {
+      expect(context.fencingToken).to.equal(2);
+    });
+
+    And('secret has the increased fencing token', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(secret.annotations).to.deep.equal({ updated_at: new Date().toISOString(), fencing_token: '2' });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('retry lock', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('secret etag is updated after prepare', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    Given('concurrent secret with retry policy is initiated', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { retry: { maxAttempts: 3, minDelayMs: 10 } });
+      await concurrentSecret._prepare();
+    });
+
+    But('secret is updated by another client, etag is updated', () => {
+      return client.updateSecret({ secret: { name: secretName }, updateMask: { paths: [] } });
+    });
+
+    let result;
+    When('an attempt is made to update concurrent secret', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => Promise.resolve('version-2')).catch((err) => err);
+    });
+
+    Then('update succeeds since secret was read again', () => {
+      expect(result, result?.message).to.equal('version-2');
+    });
+
+    And('a new version was added', async () => {
+      const [latestVersion] = await client.getSecretVersion({ name: path.join(secretName, 'versions/latest') });
+
+      expect(latestVersion.name).to.match(/\/versions\/2$/);
+    });
+  });
+
+  Scenario('secret is locked by another process that releases the lock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let otherSecret;
+    And('another process has locked secret', async () => {
+      otherSecret = new ConcurrentSecret(secretName, client);
+      await otherSecret.lock();
+    });
+
+    let promisedResult;
+    When('an attempt is made to update concurrent secret with retry policy', () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, {
+        retry: { maxAttempts: 20, minDelayMs: 10, maxDelayMs: 20 },
+      });
+      promisedResult = concurrentSecret.optimisticUpdate(() => Promise.resolve('version-2')).catch((err) => err);
+    });
+
+    And('the other process releases the lock', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      await otherSecret.unlock();
+    });
+
+    Then('update succeeds', async () => {
+      const result = await promisedResult;
+      expect(result, result?.message).to.equal('version-2');
+    });
+  });
+
+  Scenario('secret remains locked by another process', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('another process has locked secret', async () => {
+      await new ConcurrentSecret(secretName, client).lock();
+    });
+
+    let attempts;
+    let result;
+    When('an attempt is made to update concurrent secret with retry policy', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { retry: { maxAttempts: 3, minDelayMs: 1, jitter: false } });
+
+      attempts = 0;
+      const acquireLock = concurrentSecret._acquireLock;
+      concurrentSecret._acquireLock = () => {
+        attempts++;
+        return acquireLock.call(concurrentSecret);
+      };
+
+      result = await concurrentSecret.optimisticUpdate(() => Promise.resolve('version-2')).catch((err) => err);
+    });
+
+    Then('update failed with lock error', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/by another process/i);
+    });
+
+    And('lock was attempted max attempts times', () => {
+      expect(attempts).to.equal(3);
+    });
+
+    When('an attempt is made with a retry deadline shorter than the backoff', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, {
+        retry: { maxAttempts: 10, minDelayMs: 1000, jitter: false, deadlineMs: 500 },
+      });
+
+      attempts = 0;
+      const acquireLock = concurrentSecret._acquireLock;
+      concurrentSecret._acquireLock = () => {
+        attempts++;
+        return acquireLock.call(concurrentSecret);
+      };
+
+      result = await concurrentSecret.optimisticUpdate(() => Promise.resolve('version-2')).catch((err) => err);
+    });
+
+    Then('update failed with lock error', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+    });
+
+    And('lock was only attempted once', () => {
+      expect(attempts).to.equal(1);
+    });
+
+    And('only one version is present', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+    });
+  });
+});
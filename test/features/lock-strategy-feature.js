@@ -0,0 +1,230 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, CompanionSecretLock, InProcessLock } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('lock strategy', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('in-process lock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    /** @type {string} */
+    let etag;
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+      [{ etag }] = await client.getSecret({ name: secretName });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is locked with in-process lock', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { lockStrategy: new InProcessLock(), ownerId: 'first' });
+      await concurrentSecret.lock();
+    });
+
+    Then('secret etag is unchanged', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.etag).to.equal(etag);
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    And('lock info has lock owner', async () => {
+      const lockInfo = await concurrentSecret.getLockInfo();
+      expect(lockInfo).to.have.property('locked', true);
+      expect(lockInfo).to.have.property('lockedBy', 'first');
+      expect(lockInfo).to.have.property('fencingToken', 1);
+    });
+
+    /** @type {Error} */
+    let lockError;
+    When('another instance attempts to lock the same secret', async () => {
+      try {
+        await new ConcurrentSecret(secretName, client, { lockStrategy: new InProcessLock(), ownerId: 'second' }).lock();
+      } catch (err) {
+        lockError = err;
+      }
+    });
+
+    Then('lock attempt fails since secret is locked', () => {
+      expect(lockError, 'lock error').to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+      expect(lockError.message).to.match(/first/);
+    });
+
+    When('first instance updates secret', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('secret has a new version and lock is released', async () => {
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-2');
+      expect(await concurrentSecret.getLockInfo()).to.have.property('locked', false);
+    });
+
+    And('another instance can update secret', async () => {
+      await new ConcurrentSecret(secretName, client, { lockStrategy: new InProcessLock() }).optimisticUpdate(() => 'version-3');
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-3');
+    });
+  });
+
+  Scenario('in-process lock is attempted by two instances in parallel', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret[]} */
+    let concurrentSecrets;
+    /** @type {PromiseSettledResult<any>[]} */
+    let results;
+    When('two instances lock the same secret at the same time', async () => {
+      concurrentSecrets = [
+        new ConcurrentSecret(secretName, client, { lockStrategy: new InProcessLock(), ownerId: 'A' }),
+        new ConcurrentSecret(secretName, client, { lockStrategy: new InProcessLock(), ownerId: 'B' }),
+      ];
+      results = await Promise.allSettled(concurrentSecrets.map((concurrentSecret) => concurrentSecret.lock()));
+    });
+
+    Then('only one instance got the lock', () => {
+      expect(results.map((r) => r.status)).to.deep.equal(['fulfilled', 'rejected']);
+      expect(/** @type {PromiseRejectedResult} */ (results[1]).reason).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+
+    And('lock owner can unlock', async () => {
+      await concurrentSecrets[0].unlock();
+      expect(await concurrentSecrets[0].getLockInfo()).to.have.property('locked', false);
+    });
+
+    When('two instances update the same secret at the same time', async () => {
+      results = await Promise.allSettled([
+        concurrentSecrets[0].optimisticUpdate(() => 'version-A'),
+        concurrentSecrets[1].optimisticUpdate(() => 'version-B'),
+      ]);
+    });
+
+    Then('only one update succeeded', async () => {
+      expect(results.map((r) => r.status)).to.deep.equal(['fulfilled', 'rejected']);
+      expect((await concurrentSecrets[0].getLatestValue()).toString()).to.equal('version-A');
+      expect(await concurrentSecrets[0].getLockInfo()).to.have.property('locked', false);
+    });
+  });
+
+  Scenario('companion secret lock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    const companionName = `${secretName}-lock`;
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is locked with companion secret lock', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { lockStrategy: new CompanionSecretLock(), ownerId: 'first' });
+      await concurrentSecret.lock();
+    });
+
+    Then('companion secret was created with lock annotations', async () => {
+      const [companion] = await client.getSecret({ name: companionName });
+      expect(companion.annotations).to.have.property('locked_by', 'first');
+      expect(companion.annotations).to.have.property('fencing_token', '1');
+    });
+
+    And('secret has no lock annotations', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    /** @type {Error} */
+    let lockError;
+    When('another instance attempts to lock the same secret', async () => {
+      try {
+        await new ConcurrentSecret(secretName, client, { lockStrategy: new CompanionSecretLock(), ownerId: 'second' }).lock();
+      } catch (err) {
+        lockError = err;
+      }
+    });
+
+    Then('lock attempt fails since companion secret is locked', () => {
+      expect(lockError, 'lock error').to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+      expect(lockError.message).to.match(/first/);
+    });
+
+    When('first instance updates secret', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('secret has a new version and companion secret lock is released', async () => {
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-2');
+      const [companion] = await client.getSecret({ name: companionName });
+      expect(companion.annotations).to.not.have.property('locked_at');
+      expect(await concurrentSecret.getLockInfo()).to.have.property('locked', false);
+    });
+
+    When('another instance updates secret with explicit companion secret name', async () => {
+      await new ConcurrentSecret(secretName, client, {
+        lockStrategy: new CompanionSecretLock({ name: companionName }),
+      }).optimisticUpdate(() => 'version-3');
+    });
+
+    Then('fencing token is incremented on companion secret', async () => {
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-3');
+      expect(await concurrentSecret.getLockInfo()).to.have.property('fencingToken', 2);
+    });
+  });
+
+  Scenario('companion secret lock info before first lock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without companion secret', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    Then('secret is not locked', async () => {
+      const lockInfo = await new ConcurrentSecret(secretName, client, { lockStrategy: new CompanionSecretLock() }).getLockInfo();
+      expect(lockInfo).to.have.property('locked', false);
+    });
+
+    And('forcing unlock releases nothing', async () => {
+      const result = await new ConcurrentSecret(secretName, client, { lockStrategy: new CompanionSecretLock() }).forceUnlock();
+      expect(result).to.be.false;
+    });
+
+    And('companion secret was not created', async () => {
+      const error = await client.getSecret({ name: `${secretName}-lock` }).catch((err) => err);
+      // @ts-ignore
+      expect(error.code).to.equal(RpcCodes.NOT_FOUND);
+    });
+  });
+});
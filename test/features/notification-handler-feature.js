@@ -0,0 +1,313 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+import { mock } from 'node:test';
+
+import { ConcurrentSecret, SecretNotFoundError, SecretsCache, createNotificationHandler } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+
+Feature('notification handler', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('rotate event is pushed to http endpoint', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {any[]} */
+    const calls = [];
+    let handler;
+    And('a notification handler with rotate function', () => {
+      handler = createNotificationHandler({
+        client,
+        rotate(notification) {
+          calls.push(notification);
+          return 'version-2';
+        },
+      });
+    });
+
+    let result;
+    When('a rotate event push request body is handled', async () => {
+      result = await handler({
+        message: {
+          attributes: { eventType: 'SECRET_ROTATE', secretId: secretName, dataFormat: 'JSON_API_V1' },
+          data: Buffer.from(JSON.stringify({ name: secretName })).toString('base64'),
+          messageId: '1',
+        },
+        subscription: 'projects/1234/subscriptions/rotate',
+      });
+    });
+
+    Then('secret was rotated', async () => {
+      expect(result).to.deep.include({ eventType: 'SECRET_ROTATE', secretId: secretName, action: 'rotated', result: 'version-2' });
+      expect((await new ConcurrentSecret(secretName, client).getLatestValue()).toString()).to.equal('version-2');
+    });
+
+    And('rotate function was called with parsed notification', () => {
+      expect(calls).to.have.length(1);
+      expect(calls[0]).to.deep.include({ eventType: 'SECRET_ROTATE', secretId: secretName, data: { name: secretName } });
+    });
+  });
+
+  Scenario('rotate events are handled by a handler created with client options', () => {
+    const parent = 'projects/1234';
+    const secretNames = [
+      path.join(parent, 'secrets', `my-secret-${randomInt(10000)}`),
+      path.join(parent, 'secrets', `my-secret-${randomInt(10000)}`),
+    ];
+
+    /** @type {import('node:test').Mock<Function>} */
+    let getSecret;
+    before(() => {
+      getSecret = mock.method(secretManager.v1.SecretManagerServiceClient.prototype, 'getSecret');
+    });
+    after(async () => {
+      const handlerClients = new Set(getSecret.mock.calls.map((call) => call.this));
+      mock.restoreAll();
+      await Promise.all([...handlerClients].map((c) => c.close()));
+    });
+
+    Given('two secrets with one version', async () => {
+      for (const secretName of secretNames) {
+        await client.createSecret({ parent, secretId: path.basename(secretName), secret: { replication: { automatic: {} } } });
+        await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+      }
+    });
+
+    let handler;
+    And('a notification handler with client options', () => {
+      handler = createNotificationHandler({
+        client: { apiEndpoint: 'localhost', port: server.origin.port, auth: fakeAuth() },
+        rotate: () => 'version-2',
+      });
+    });
+
+    When('rotate events of both secrets are handled', async () => {
+      for (const secretName of secretNames) {
+        const result = await handler({ attributes: { eventType: 'SECRET_ROTATE', secretId: secretName } });
+        expect(result).to.have.property('action', 'rotated');
+      }
+    });
+
+    Then('both secrets were rotated', async () => {
+      for (const secretName of secretNames) {
+        expect((await new ConcurrentSecret(secretName, client).getLatestValue()).toString()).to.equal('version-2');
+      }
+    });
+
+    And('the handler created one client that was used for both secrets', () => {
+      const handlerClients = new Set(getSecret.mock.calls.map((call) => call.this));
+      expect(handlerClients.size).to.equal(1);
+      expect(handlerClients.has(client)).to.be.false;
+    });
+  });
+
+  Scenario('version event is pulled from subscription', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    const updateCalls = [];
+    And('secret is cached with update method', async () => {
+      cache = new SecretsCache(client);
+      cache.set(secretName, null, () => {
+        updateCalls.push('called');
+        return 'rotated';
+      });
+      expect((await cache.get(secretName)).value).to.equal('version-1');
+    });
+
+    let handler;
+    And('a notification handler with secrets cache', () => {
+      handler = createNotificationHandler({ secretsCache: cache });
+    });
+
+    let versionName;
+    When('a version is added by another process', async () => {
+      [{ name: versionName }] = await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-2') } });
+    });
+
+    let result;
+    And('the version add event pull message is handled', async () => {
+      result = await handler({
+        attributes: { eventType: 'SECRET_VERSION_ADD', secretId: secretName, versionId: versionName },
+        data: Buffer.from(JSON.stringify({ name: versionName })),
+      });
+    });
+
+    Then('cached secret was invalidated', () => {
+      expect(result).to.deep.include({ eventType: 'SECRET_VERSION_ADD', secretId: secretName, action: 'invalidated' });
+    });
+
+    And('cached value is the new version without calling update method', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-2');
+      expect(cachedSecret.versionName).to.equal(versionName);
+      expect(updateCalls).to.have.length(0);
+    });
+
+    When('the secret delete event is handled', async () => {
+      result = await handler({ attributes: { eventType: 'SECRET_DELETE', secretId: secretName } });
+    });
+
+    Then('secret was removed from cache', () => {
+      expect(result).to.have.property('action', 'deleted');
+      expect(cache.has(secretName)).to.be.false;
+    });
+  });
+
+  Scenario('cached secret set with ttl is invalidated', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    And('secret is cached with a ttl of ten seconds in a cache with one minute ttl', () => {
+      cache = new SecretsCache(client, { ttl: 60000 });
+      cache.set(secretName, 'version-1', null, { ttl: 10000 });
+      expect(cache.getRemainingTTL(secretName)).to.be.within(9000, 10000);
+    });
+
+    When('a version is added by another process', async () => {
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-2') } });
+    });
+
+    And('cached secret is invalidated', async () => {
+      await cache.invalidate(secretName);
+    });
+
+    Then('cached value is the new version', async () => {
+      expect((await cache.get(secretName)).value).to.equal('version-2');
+    });
+
+    And('cached secret keeps the ttl it was set with', () => {
+      expect(cache.getRemainingTTL(secretName)).to.be.within(9000, 10000);
+    });
+  });
+
+  Scenario('cached secret is kept if invalidation fails', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    const updateCalls = [];
+    And('secret is cached with update method', async () => {
+      cache = new SecretsCache(client);
+      cache.set(secretName, null, () => {
+        updateCalls.push('called');
+        return 'rotated';
+      });
+      expect((await cache.get(secretName)).value).to.equal('version-1');
+    });
+
+    Given('the only version is destroyed by another process', async () => {
+      await client.destroySecretVersion({ name: `${secretName}/versions/1` });
+    });
+
+    let error;
+    When('cached secret is invalidated', async () => {
+      error = await cache.invalidate(secretName).catch((err) => err);
+    });
+
+    Then('invalidation failed', () => {
+      expect(error).to.be.instanceOf(Error);
+    });
+
+    And('cached secret keeps value without calling update method', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+      expect(cachedSecret.versionName).to.equal(`${secretName}/versions/1`);
+      expect(updateCalls).to.have.length(0);
+    });
+
+    Given('the secret is deleted by another process', async () => {
+      await client.deleteSecret({ name: secretName });
+    });
+
+    When('cached secret is invalidated', async () => {
+      error = await cache.invalidate(secretName).catch((err) => err);
+    });
+
+    Then('invalidation failed since secret was not found', () => {
+      expect(error).to.be.instanceOf(SecretNotFoundError);
+    });
+
+    And('cached secret still keeps value', async () => {
+      expect((await cache.get(secretName)).value).to.equal('version-1');
+      expect(updateCalls).to.have.length(0);
+    });
+  });
+
+  Scenario('unhandled notifications', () => {
+    const secretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    let handler;
+    Given('a notification handler without rotate function', () => {
+      handler = createNotificationHandler({ client, secretsCache: new SecretsCache(client) });
+    });
+
+    Then('rotate event is ignored', async () => {
+      const result = await handler({ attributes: { eventType: 'SECRET_ROTATE', secretId: secretName } });
+      expect(result).to.deep.equal({ eventType: 'SECRET_ROTATE', secretId: secretName, action: 'ignored' });
+    });
+
+    And('version event for secret that is not cached is ignored', async () => {
+      const result = await handler({ attributes: { eventType: 'SECRET_VERSION_DISABLE', secretId: secretName } });
+      expect(result).to.have.property('action', 'ignored');
+    });
+
+    And('unknown event is ignored', async () => {
+      const result = await handler({ attributes: { eventType: 'TOPIC_CONFIGURED', secretId: secretName } });
+      expect(result).to.have.property('action', 'ignored');
+    });
+
+    And('message without attributes is ignored', async () => {
+      const result = await handler({ data: 'bm90IGpzb24=' });
+      expect(result).to.have.property('action', 'ignored');
+    });
+  });
+});
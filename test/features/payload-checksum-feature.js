@@ -0,0 +1,108 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+import { mock } from 'node:test';
+
+import { ConcurrentSecret, SecretsCache, SecretIntegrityError } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('payload checksums', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+  after(() => mock.restoreAll());
+
+  Scenario('update secret', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is updated', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('new version was added with payload checksum', async () => {
+      const [version] = await client.getSecretVersion({ name: concurrentSecret.updatedVersionName });
+      expect(version.clientSpecifiedPayloadChecksum).to.be.true;
+    });
+
+    And('latest data is verified', async () => {
+      const data = await concurrentSecret.getLatestData();
+      expect(data.payload.data.toString()).to.equal('version-2');
+    });
+  });
+
+  Scenario('secret data is corrupted in transit', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    And('a cached secret', () => {
+      cache = new SecretsCache({ apiEndpoint: 'localhost', port: server.origin.port, auth: fakeAuth() });
+      cache.set(secretName, 'version-1', null, { versionName: path.join(secretName, 'versions/1') });
+    });
+    after(() => cache.client.close());
+
+    And('access secret version response payload is corrupted', () => {
+      const accessSecretVersion = cache.client.accessSecretVersion.bind(cache.client);
+      mock.method(cache.client, 'accessSecretVersion', async (...args) => {
+        const [data, ...rest] = await accessSecretVersion(...args);
+        return [{ ...data, payload: { ...data.payload, data: Buffer.from('version-x') } }, ...rest];
+      });
+    });
+
+    let result;
+    When('getting latest data', async () => {
+      result = await new ConcurrentSecret(secretName, cache.client).getLatestData().catch((err) => err);
+    });
+
+    Then('integrity error is thrown', () => {
+      expect(result).to.be.instanceOf(SecretIntegrityError);
+      expect(result.code).to.equal(RpcCodes.DATA_LOSS);
+      expect(result).to.match(/versions\/1 payload checksum mismatch/);
+    });
+
+    When('updating cached secret', async () => {
+      result = await cache.update(secretName).catch((err) => err);
+    });
+
+    Then('integrity error is thrown', () => {
+      expect(result).to.be.instanceOf(SecretIntegrityError);
+    });
+
+    And('corrupted data is not cached', async () => {
+      expect((await cache.get(secretName)).value).to.equal('version-1');
+    });
+  });
+});
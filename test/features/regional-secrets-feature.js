@@ -0,0 +1,132 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { CompanionSecretLock, ConcurrentSecret, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+
+Feature('regional secrets', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('update regional secret', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234/locations/europe-north1';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a regional secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: {} });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('regional secret is updated', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { maintainAliases: true, retention: { keepEnabled: 2 } });
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('new regional version was added', async () => {
+      expect(concurrentSecret.updatedVersionName).to.equal(`${secretName}/versions/2`);
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-2');
+    });
+
+    And('previous version is readable by alias', async () => {
+      const [version] = await client.accessSecretVersion({ name: `${secretName}/versions/previous` });
+      expect(version.payload.data.toString()).to.equal('version-1');
+    });
+
+    And('regional secret can be cached', async () => {
+      const cache = new SecretsCache(client);
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-2');
+      expect(cachedSecret.versionName).to.equal(`${secretName}/versions/2`);
+    });
+  });
+
+  Scenario('create missing regional secret', () => {
+    const secretName = path.join('projects/1234/locations/europe-north1/secrets', `my-secret-${randomInt(10000)}`);
+
+    When('updating missing regional secret with create if missing and companion secret lock', async () => {
+      await new ConcurrentSecret(secretName, client, {
+        createIfMissing: true,
+        lockStrategy: new CompanionSecretLock(),
+      }).optimisticUpdate(() => 'version-1');
+    });
+
+    Then('regional secret was created without replication', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.replication).to.not.be.ok;
+    });
+
+    And('regional companion lock secret was created', async () => {
+      const [secret] = await client.getSecret({ name: `${secretName}-lock` });
+      expect(secret.replication).to.not.be.ok;
+    });
+  });
+
+  Scenario('client is created with client options', () => {
+    const regionalSecretName = path.join('projects/1234/locations/europe-north1/secrets', `my-secret-${randomInt(10000)}`);
+    const globalSecretName = path.join('projects/1234/secrets', `my-secret-${randomInt(10000)}`);
+
+    /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient[]} */
+    const clients = [];
+    after(() => Promise.all(clients.map((c) => c.close())));
+
+    Then('regional secret client uses regional endpoint', () => {
+      const concurrentSecret = new ConcurrentSecret(regionalSecretName, { auth: fakeAuth() });
+      clients.push(concurrentSecret.client);
+      // @ts-ignore
+      expect(concurrentSecret.client._opts.servicePath).to.equal('secretmanager.europe-north1.rep.googleapis.com');
+    });
+
+    And('global secret client uses global endpoint', () => {
+      const concurrentSecret = new ConcurrentSecret(globalSecretName, { auth: fakeAuth() });
+      clients.push(concurrentSecret.client);
+      // @ts-ignore
+      expect(concurrentSecret.client._opts.servicePath).to.equal('secretmanager.googleapis.com');
+    });
+
+    And('api endpoint option takes precedence', () => {
+      const concurrentSecret = new ConcurrentSecret(regionalSecretName, { apiEndpoint: 'localhost', auth: fakeAuth() });
+      clients.push(concurrentSecret.client);
+      // @ts-ignore
+      expect(concurrentSecret.client._opts.servicePath).to.equal('localhost');
+    });
+
+    And('secrets cache uses a shared regional client per location', () => {
+      const cache = new SecretsCache({ auth: fakeAuth() });
+      clients.push(cache.client);
+
+      const regionalClient = cache._getClient(regionalSecretName);
+      clients.push(regionalClient);
+
+      // @ts-ignore
+      expect(regionalClient._opts.servicePath).to.equal('secretmanager.europe-north1.rep.googleapis.com');
+      expect(cache._getClient(`${regionalSecretName}-other`)).to.equal(regionalClient);
+      expect(cache._getClient(globalSecretName)).to.equal(cache.client);
+    });
+
+    But('secrets cache with client instance uses the instance for regional secrets', () => {
+      const cache = new SecretsCache(client);
+      expect(cache._getClient(regionalSecretName)).to.equal(client);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+import * as ck from 'chronokinesis';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('rollback secret', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+  after(ck.reset);
+
+  Scenario('rollback after bad rotation with version destroy ttl', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    after(ck.reset);
+
+    Given('a secret with version destroy ttl and one version', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: { versionDestroyTtl: { seconds: 86400, nanos: 0 }, replication: { automatic: {} } },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('good-version') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a bad rotation has scheduled the good version for destruction', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.optimisticUpdate(() => 'bad-version');
+
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+      expect(version.scheduledDestroyTime).to.be.ok;
+    });
+
+    let result;
+    When('rolling back secret', async () => {
+      ck.freeze();
+      result = await concurrentSecret.rollback();
+    });
+
+    Then('the good version data is returned', () => {
+      expect(result.toString()).to.equal('good-version');
+      expect(concurrentSecret.updatedVersionName).to.match(/\/versions\/3$/);
+    });
+
+    And('latest version has the good version data', async () => {
+      const [data] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/latest') });
+
+      expect(data.name).to.match(/\/versions\/3$/);
+      expect(data.payload.data.toString()).to.equal('good-version');
+    });
+
+    And('pending destruction of the good version is cancelled', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+
+      expect(version.state).to.equal('ENABLED');
+      expect(version.scheduledDestroyTime).to.not.be.ok;
+    });
+
+    And('the bad version is scheduled for destruction', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+
+      expect(version.scheduledDestroyTime).to.be.ok;
+    });
+
+    And('rollback is recorded in annotations and secret is unlocked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(secret.annotations).to.deep.equal({
+        fencing_token: '2',
+        rolled_back_at: new Date().toISOString(),
+        rolled_back_from: path.join(secretName, 'versions/2'),
+        rolled_back_to: path.join(secretName, 'versions/1'),
+        updated_at: new Date().toISOString(),
+      });
+    });
+  });
+
+  Scenario('rollback secret where previous version is destroyed', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without version destroy ttl and one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('good-version') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a rotation has destroyed the previous version', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.optimisticUpdate(() => 'bad-version');
+    });
+
+    let result;
+    When('attempting to roll back secret', async () => {
+      result = await concurrentSecret.rollback().catch((err) => err);
+    });
+
+    Then('rollback fails with not found', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.NOT_FOUND);
+      expect(result).to.match(/no previous version/);
+    });
+
+    And('secret is unlocked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+  });
+
+  Scenario('rollback secret with retention that disabled previous version', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('good-version') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a rotation with retention has disabled the previous version', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { retention: { keepEnabled: 1, keepVersions: 3 } });
+      await concurrentSecret.optimisticUpdate(() => 'bad-version');
+    });
+
+    let result;
+    When('rolling back secret', async () => {
+      result = await concurrentSecret.rollback();
+    });
+
+    Then('the good version data is returned', () => {
+      expect(result.toString()).to.equal('good-version');
+    });
+
+    And('bad version is disabled by retention', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+
+      expect(version.state).to.equal('DISABLED');
+    });
+  });
+
+  Scenario('rollback after aborted rotation', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('good-version') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a rotation was begun and aborted', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.beginRotation(() => 'rejected-pending');
+      await concurrentSecret.abortRotation();
+    });
+
+    /** @type {Error} */
+    let error;
+    When('attempting to roll back secret', async () => {
+      error = await concurrentSecret.rollback().catch((err) => err);
+    });
+
+    Then('rollback fails with not found since the rejected pending version is not restored', () => {
+      expect(error, 'rollback error').to.have.property('code', RpcCodes.NOT_FOUND);
+    });
+
+    And('rejected pending version is still disabled', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+      expect(version.state).to.equal('DISABLED');
+    });
+
+    And('latest version has the good version data', async () => {
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('good-version');
+    });
+  });
+});
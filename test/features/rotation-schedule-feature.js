@@ -0,0 +1,329 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset, RpcCodes } from '../helpers/fake-server.js';
+
+Feature('rotation schedule', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('secret with passed next rotation time and rotation period', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    const nextRotationSeconds = Math.floor(Date.now() / 1000) - 60;
+
+    Given('a secret with rotation schedule that is due', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: nextRotationSeconds }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    Then('rotation is due', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { rotationPeriodMs: 3600000 });
+      expect(await concurrentSecret.isRotationDue()).to.be.true;
+    });
+
+    let result;
+    When('rotating if due', async () => {
+      result = await concurrentSecret.rotateIfDue(() => 'version-2');
+    });
+
+    Then('secret was rotated', async () => {
+      expect(result).to.equal('version-2');
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-2');
+    });
+
+    And('next rotation time was advanced by rotation period in the same update as updated at annotation', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(Number(secret.rotation.nextRotationTime.seconds)).to.equal(nextRotationSeconds + 3600);
+      expect(secret.annotations).to.have.property('updated_at');
+    });
+
+    And('rotation period is input only and not returned', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.rotation.rotationPeriod).to.not.be.ok;
+    });
+
+    And('rotation is no longer due', async () => {
+      expect(await concurrentSecret.isRotationDue()).to.be.false;
+    });
+
+    const calls = [];
+    When('rotating if due again', async () => {
+      result = await concurrentSecret.rotateIfDue(() => {
+        calls.push('called');
+        return 'version-3';
+      });
+    });
+
+    Then('rotation was a no-op', async () => {
+      expect(result).to.be.null;
+      expect(calls).to.have.length(0);
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-2');
+    });
+  });
+
+  Scenario('rotate if due is polled while secret is missing', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    let result;
+    When('rotating if due a secret that does not exist', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { rotationPeriodMs: 3600000 });
+      result = await concurrentSecret.rotateIfDue(() => 'version-2').catch((err) => err);
+    });
+
+    Then('rotation fails with not found', () => {
+      expect(result).to.have.property('code', RpcCodes.NOT_FOUND);
+    });
+
+    Given('the secret is created with rotation schedule that is due', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: Math.floor(Date.now() / 1000) - 60 }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('rotating if due again with the same instance', async () => {
+      result = await concurrentSecret.rotateIfDue(() => 'version-2');
+    });
+
+    Then('secret was rotated', async () => {
+      expect(result).to.equal('version-2');
+      expect((await concurrentSecret.getLatestValue()).toString()).to.equal('version-2');
+    });
+  });
+
+  Scenario('two instances rotate if due at once with lock retry', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    const nextRotationSeconds = Math.floor(Date.now() / 1000) - 60;
+
+    Given('a secret with rotation schedule that is due', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: nextRotationSeconds }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {any[]} */
+    let results;
+    When('two instances with lock retry rotate if due simultaneously', async () => {
+      const options = { retry: { maxAttempts: 10, minDelayMs: 10 }, rotationPeriodMs: 3600000 };
+      results = await Promise.all([
+        new ConcurrentSecret(secretName, client, options).rotateIfDue(() => 'version-a'),
+        new ConcurrentSecret(secretName, client, options).rotateIfDue(() => 'version-b'),
+      ]);
+    });
+
+    Then('only one instance rotated', () => {
+      expect(results.filter((result) => result !== null)).to.have.length(1);
+    });
+
+    And('only one version was added', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(2);
+    });
+
+    And('next rotation time was advanced by one rotation period', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(Number(secret.rotation.nextRotationTime.seconds)).to.equal(nextRotationSeconds + 3600);
+    });
+  });
+
+  Scenario('secret next rotation time is far behind', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with next rotation time several periods ago', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: Math.floor(Date.now() / 1000) - 86400 }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+    });
+
+    When('rotating if due', async () => {
+      await new ConcurrentSecret(secretName, client, { rotationPeriodMs: 3600000 }).rotateIfDue(() => 'version-1');
+    });
+
+    Then('next rotation time is one rotation period from now', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      const nextRotationSeconds = Number(secret.rotation.nextRotationTime.seconds);
+      expect(nextRotationSeconds).to.be.within(Math.floor(Date.now() / 1000) + 3500, Math.floor(Date.now() / 1000) + 3600);
+    });
+  });
+
+  Scenario('secret with rotation period but without next rotation time', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret updated two hours ago with a one hour rotation period', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { rotationPeriod: { seconds: 3600 } },
+          annotations: { updated_at: new Date(Date.now() - 7200000).toISOString() },
+        },
+      });
+    });
+
+    Then('rotation is due', async () => {
+      expect(await new ConcurrentSecret(secretName, client, { rotationPeriodMs: 3600000 }).isRotationDue()).to.be.true;
+    });
+
+    But('rotation is not due without rotation period option since rotation period is not returned', async () => {
+      expect(await new ConcurrentSecret(secretName, client).isRotationDue()).to.be.false;
+    });
+  });
+
+  Scenario('secret with passed next rotation time is updated without rotation period option', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    const nextRotationSeconds = Math.floor(Date.now() / 1000) - 60;
+
+    Given('a secret with next rotation time only', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: { replication: { automatic: {} }, rotation: { nextRotationTime: { seconds: nextRotationSeconds } } },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('secret is updated', async () => {
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2');
+    });
+
+    Then('next rotation time is kept', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(Number(secret.rotation.nextRotationTime.seconds)).to.equal(nextRotationSeconds);
+    });
+  });
+
+  Scenario('secret manager has advanced next rotation time when publishing rotate notification', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    const nextRotationSeconds = Math.floor(Date.now() / 1000) + 3540;
+
+    Given('a secret with next rotation time in the future', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: {
+          replication: { automatic: {} },
+          rotation: { nextRotationTime: { seconds: nextRotationSeconds }, rotationPeriod: { seconds: 3600 } },
+        },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('secret is rotated on the rotate notification', async () => {
+      await new ConcurrentSecret(secretName, client, { rotationPeriodMs: 3600000 }).optimisticUpdate(() => 'version-2');
+    });
+
+    Then('next rotation time is not advanced again', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(Number(secret.rotation.nextRotationTime.seconds)).to.equal(nextRotationSeconds);
+    });
+  });
+
+  Scenario('advanced next rotation time is less than five minutes from now', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with next rotation time a minute ago', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: { replication: { automatic: {} }, rotation: { nextRotationTime: { seconds: Math.floor(Date.now() / 1000) - 60 } } },
+      });
+    });
+
+    When('rotating if due with two minute rotation period', async () => {
+      await new ConcurrentSecret(secretName, client, { rotationPeriodMs: 120000 }).rotateIfDue(() => 'version-1');
+    });
+
+    Then('next rotation time is five minutes from now', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      const nextRotationSeconds = Number(secret.rotation.nextRotationTime.seconds);
+      expect(nextRotationSeconds).to.be.within(Math.floor(Date.now() / 1000) + 290, Math.floor(Date.now() / 1000) + 300);
+    });
+  });
+
+  Scenario('secret without rotation schedule', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    Then('rotation is not due', async () => {
+      expect(await new ConcurrentSecret(secretName, client).isRotationDue()).to.be.false;
+    });
+
+    When('secret is updated', async () => {
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2');
+    });
+
+    Then('secret still lacks rotation schedule', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.rotation).to.not.be.ok;
+    });
+  });
+});
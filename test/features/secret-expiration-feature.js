@@ -0,0 +1,307 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+import { mock } from 'node:test';
+
+import { ConcurrentSecret, SecretNotFoundError, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset, RpcCodes } from '../helpers/fake-server.js';
+
+Feature('secret expiration', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('cached secret expires before cache ttl', () => {
+    before(() => {
+      mock.timers.enable({ apis: ['Date', 'setTimeout'], now: new Date() });
+    });
+    after(() => mock.timers.reset());
+
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that expires in 30 seconds', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, ttl: { seconds: 30 } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    And('a cache with one minute ttl', () => {
+      cache = new SecretsCache(client, { ttl: 60000 });
+    });
+
+    When('secret is set in cache without initial value and with read expire time option', () => {
+      cache.set(secretName, undefined, undefined, { readExpireTime: true });
+    });
+
+    Then('cached secret has expire time', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+      expect(cachedSecret.expireTime).to.be.instanceOf(Date);
+      expect(cachedSecret.expireTime.getTime()).to.be.within(Date.now() + 29000, Date.now() + 30000);
+      expect(cachedSecret.expired).to.be.false;
+    });
+
+    And('remaining cache ttl is capped at secret expiry', () => {
+      expect(cache.getRemainingTTL(secretName)).to.be.within(29000, 30000);
+    });
+
+    Given('time has ticked beyond secret expiry', () => {
+      mock.timers.tick(30001);
+    });
+
+    Then('cached secret has expired', () => {
+      expect(cache.cache.peek(secretName, { allowStale: true }).expired).to.be.true;
+    });
+
+    And('getting secret from cache fails since secret was deleted', async () => {
+      const error = await cache.get(secretName).catch((err) => err);
+      expect(error).to.be.instanceOf(SecretNotFoundError);
+    });
+  });
+
+  Scenario('secret fetched by get expires before cache ttl', () => {
+    before(() => {
+      mock.timers.enable({ apis: ['Date', 'setTimeout'], now: new Date() });
+    });
+    after(() => mock.timers.reset());
+
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that expires in 30 seconds', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, ttl: { seconds: 30 } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    And('a cache with one minute ttl and read expire time secret option', () => {
+      cache = new SecretsCache(client, { ttl: 60000 }, { readExpireTime: true });
+    });
+
+    When('getting secret that is not set in cache', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+    });
+
+    Then('fetched secret has expire time', () => {
+      const cachedSecret = cache.cache.peek(secretName);
+      expect(cachedSecret.expireTime).to.be.instanceOf(Date);
+      expect(cachedSecret.expireTime.getTime()).to.be.within(Date.now() + 29000, Date.now() + 30000);
+    });
+
+    And('remaining cache ttl is capped at secret expiry', () => {
+      expect(cache.getRemainingTTL(secretName)).to.be.within(29000, 30000);
+    });
+  });
+
+  Scenario('secret fetched by get without read expire time secret option', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that expires in 30 seconds', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, ttl: { seconds: 30 } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    And('a cache with one minute ttl', () => {
+      cache = new SecretsCache(client, { ttl: 60000 });
+    });
+
+    When('getting secret that is not set in cache', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+    });
+
+    Then('expire time is unknown since secret was not read', () => {
+      expect(cache.cache.peek(secretName).expireTime).to.be.undefined;
+    });
+
+    And('cache ttl is not capped at secret expiry', () => {
+      expect(cache.getRemainingTTL(secretName)).to.be.above(30000);
+    });
+  });
+
+  Scenario('secret without expiry keeps cache ttl', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that does not expire', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    When('secret is fetched by cache without ttl', async () => {
+      cache = new SecretsCache(client);
+      await cache.get(secretName);
+    });
+
+    Then('cached secret lacks expire time', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.expireTime).to.be.undefined;
+      expect(cachedSecret.expired).to.be.false;
+    });
+
+    And('cached secret never expires', () => {
+      expect(cache.getRemainingTTL(secretName)).to.equal(Infinity);
+    });
+  });
+
+  Scenario('expire time of cached secret is known after update', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that expires in an hour', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, ttl: { seconds: 3600 } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    When('secret is set in cache with update method', () => {
+      cache = new SecretsCache(client);
+      cache.set(secretName, undefined, () => 'version-2');
+    });
+
+    Then('expire time is unknown since secret was not read', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+      expect(cachedSecret.expireTime).to.be.undefined;
+    });
+
+    When('cached secret is updated', async () => {
+      await cache.update(secretName);
+    });
+
+    Then('expire time is taken from the updated secret', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-2');
+      expect(cachedSecret.expireTime.getTime()).to.be.within(Date.now() + 3590000, Date.now() + 3600000);
+    });
+  });
+
+  Scenario('permission to get secret is denied', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+    let accessorClient;
+    after(() => accessorClient.close());
+
+    Given('a secret that expires in an hour', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, ttl: { seconds: 3600 } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('a client that is only allowed to access versions', () => {
+      accessorClient = new secretManager.v1.SecretManagerServiceClient({
+        apiEndpoint: 'localhost',
+        port: server.origin.port,
+        auth: fakeAuth(),
+      });
+      // @ts-ignore
+      accessorClient.getSecret = () => Promise.reject(Object.assign(new Error('Permission denied'), { code: RpcCodes.PERMISSION_DENIED }));
+    });
+
+    /** @type {SecretsCache} */
+    let cache;
+    When('secret is set in cache with read expire time option', () => {
+      cache = new SecretsCache(accessorClient);
+      cache.set(secretName, undefined, undefined, { readExpireTime: true });
+    });
+
+    Then('secret value is fetched and expire time is unknown', async () => {
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+      expect(cachedSecret.expireTime).to.be.undefined;
+    });
+  });
+
+  Scenario('extend expire time on update', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that expires in a minute', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} }, ttl: { seconds: 60 } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('secret is updated without extend expiry option', async () => {
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2');
+    });
+
+    Then('expire time is unchanged', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(Number(secret.expireTime.seconds)).to.be.below(Math.floor(Date.now() / 1000) + 61);
+    });
+
+    When('secret is updated with extend expiry option of one hour', async () => {
+      await new ConcurrentSecret(secretName, client, { extendExpiryMs: 3600000 }).optimisticUpdate(() => 'version-3');
+    });
+
+    Then('expire time is extended to one hour from now', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(Number(secret.expireTime.seconds)).to.be.within(Math.floor(Date.now() / 1000) + 3590, Math.floor(Date.now() / 1000) + 3600);
+    });
+
+    let expireSeconds;
+    When('secret is updated with extend expiry option shorter than remaining time', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expireSeconds = secret.expireTime.seconds;
+      await new ConcurrentSecret(secretName, client, { extendExpiryMs: 60000 }).optimisticUpdate(() => 'version-4');
+    });
+
+    Then('expire time is not shortened', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.expireTime.seconds).to.equal(expireSeconds);
+    });
+  });
+
+  Scenario('extend expiry option on secret that does not expire', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret that does not expire', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    When('secret is updated with extend expiry option', async () => {
+      await new ConcurrentSecret(secretName, client, { extendExpiryMs: 3600000 }).optimisticUpdate(() => 'version-1');
+    });
+
+    Then('secret still does not expire', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.expireTime).to.not.be.ok;
+    });
+  });
+});
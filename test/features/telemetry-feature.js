@@ -0,0 +1,145 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+import { registerFakeTelemetry, unregisterFakeTelemetry, resetTelemetry, spans, measurements } from '../helpers/fake-telemetry.js';
+
+Feature('OpenTelemetry instrumentation', () => {
+  before(registerFakeTelemetry);
+  after(unregisterFakeTelemetry);
+
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('spans and metrics of optimistic update', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('secret is updated', async () => {
+      resetTelemetry();
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2');
+    });
+
+    Then('optimistic update, lock, and unlock spans were ended', () => {
+      expect(spans.map((s) => s.name)).to.deep.equal([
+        'ConcurrentSecret.optimisticUpdate',
+        'ConcurrentSecret.lock',
+        'ConcurrentSecret.unlock',
+      ]);
+      expect(spans.every((s) => s.ended)).to.be.true;
+      expect(spans[0].attributes).to.deep.equal({ 'secret.name': secretName });
+    });
+
+    And('rotation, lock duration, and operation latency were measured', () => {
+      const names = measurements.map((m) => m.name);
+      expect(names).to.include('secret.rotations');
+      expect(names).to.include('secret.lock.duration');
+      expect(measurements.find((m) => m.name === 'secret.operation.duration').attributes).to.deep.include({
+        'secret.name': secretName,
+        outcome: 'success',
+      });
+    });
+
+    When('secret is updated while locked by another process', async () => {
+      await new ConcurrentSecret(secretName, client, { ownerId: 'other-process' }).lock();
+      resetTelemetry();
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-3').catch(() => {});
+    });
+
+    Then('optimistic update span has error status', () => {
+      const span = spans.find((s) => s.name === 'ConcurrentSecret.optimisticUpdate');
+      expect(span.status).to.have.property('code', 2);
+      expect(span.exception).to.match(/other-process/);
+    });
+
+    And('lock contention was counted', () => {
+      expect(measurements.filter((m) => m.name === 'secret.lock.contentions')).to.have.length(1);
+    });
+  });
+
+  Scenario('spans of rotation operations', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('secret is rotated in two phases, checked for due rotation, and force unlocked', async () => {
+      resetTelemetry();
+      const concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.beginRotation(() => 'version-2');
+      await concurrentSecret.commitRotation();
+      await concurrentSecret.beginRotation(() => 'version-3');
+      await concurrentSecret.abortRotation();
+      await concurrentSecret.isRotationDue();
+      await concurrentSecret.forceUnlock();
+    });
+
+    Then('operations have spans', () => {
+      expect(spans.map((s) => s.name)).to.include.members([
+        'ConcurrentSecret.commitRotation',
+        'ConcurrentSecret.abortRotation',
+        'ConcurrentSecret.isRotationDue',
+        'ConcurrentSecret.forceUnlock',
+      ]);
+      expect(spans.every((s) => s.ended)).to.be.true;
+    });
+  });
+
+  Scenario('cache hits and misses', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('getting secret from cache twice', async () => {
+      resetTelemetry();
+      const cache = new SecretsCache(client);
+      await cache.get(secretName);
+      await cache.get(secretName);
+    });
+
+    Then('a cache miss and a cache hit were counted', () => {
+      expect(measurements.filter((m) => m.name.startsWith('secrets_cache.')).map((m) => m.name)).to.deep.equal([
+        'secrets_cache.misses',
+        'secrets_cache.hits',
+      ]);
+    });
+
+    And('cache get and get latest data spans were ended', () => {
+      expect(spans.map((s) => s.name)).to.deep.equal(['SecretsCache.get', 'ConcurrentSecret.getLatestData', 'SecretsCache.get']);
+    });
+  });
+});
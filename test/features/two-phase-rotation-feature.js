@@ -0,0 +1,347 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, EtagConflictError, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('two-phase rotation', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('rotate database password', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('old-password') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    let result;
+    When('beginning rotation', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      result = await concurrentSecret.beginRotation(() => 'new-password');
+    });
+
+    Then('new secret data is returned', () => {
+      expect(result).to.equal('new-password');
+      expect(concurrentSecret.updatedVersionName).to.match(/\/versions\/2$/);
+    });
+
+    And('new version is aliased as pending and the old version as current', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '1', pending: '2' });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    And('current version data is still accessible by alias', async () => {
+      const [data] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/current') });
+      expect(data.payload.data.toString()).to.equal('old-password');
+    });
+
+    And('readers with current read alias get the old password', async () => {
+      const reader = new ConcurrentSecret(secretName, client, { readAlias: 'current' });
+      expect((await reader.getLatestValue()).toString()).to.equal('old-password');
+
+      const cache = new SecretsCache(client);
+      cache.set(secretName, null, undefined, { readAlias: 'current' });
+      expect((await cache.get(secretName)).value).to.equal('old-password');
+    });
+
+    And('cache readers with current read alias secret option get the old password', async () => {
+      const cache = new SecretsCache(client, undefined, { readAlias: 'current' });
+      expect((await cache.get(secretName)).value).to.equal('old-password');
+    });
+
+    But('readers without read alias get the pending password', async () => {
+      expect((await new ConcurrentSecret(secretName, client).getLatestValue()).toString()).to.equal('new-password');
+    });
+
+    When('another rotation is attempted', async () => {
+      result = await new ConcurrentSecret(secretName, client).beginRotation(() => 'newer-password').catch((err) => err);
+    });
+
+    Then('rotation fails since a rotation is pending', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/pending rotation/);
+    });
+
+    When('committing rotation from another instance', async () => {
+      result = await new ConcurrentSecret(secretName, client).commitRotation();
+    });
+
+    Then('committed version name is returned', () => {
+      expect(result).to.equal(path.join(secretName, 'versions/2'));
+    });
+
+    And('new version is aliased as current', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2' });
+      expect(secret.annotations).to.have.property('updated_at');
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    And('old version is destroyed', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+      expect(version.state).to.equal('DESTROYED');
+    });
+
+    And('readers with current read alias get the new password', async () => {
+      const reader = new ConcurrentSecret(secretName, client, { readAlias: 'current' });
+      expect((await reader.getLatestValue()).toString()).to.equal('new-password');
+    });
+
+    When('committing again', async () => {
+      result = await concurrentSecret.commitRotation().catch((err) => err);
+    });
+
+    Then('commit fails since no rotation is pending', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/no pending rotation/);
+    });
+  });
+
+  Scenario('secret is updated while rotation is pending', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with two versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('older-password') } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('old-password') } });
+    });
+
+    And('rotation has begun', async () => {
+      await new ConcurrentSecret(secretName, client, { retention: { keepEnabled: 2 } }).beginRotation(() => 'new-password');
+    });
+
+    let result;
+    When('secret is updated', async () => {
+      result = await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'other-password').catch((err) => err);
+    });
+
+    Then('update fails since a rotation is pending', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/pending rotation/);
+    });
+
+    When('secret is rolled back', async () => {
+      result = await new ConcurrentSecret(secretName, client).rollback().catch((err) => err);
+    });
+
+    Then('rollback fails since a rotation is pending', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/pending rotation/);
+    });
+
+    And('pending version is intact and secret is unlocked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2', pending: '3' });
+      expect(secret.annotations).to.not.have.property('locked_at');
+
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/3') });
+      expect(version.state).to.equal('ENABLED');
+    });
+
+    When('rotation is committed', async () => {
+      await new ConcurrentSecret(secretName, client).commitRotation();
+    });
+
+    Then('readers with current read alias get the new password', async () => {
+      const reader = new ConcurrentSecret(secretName, client, { readAlias: 'current' });
+      expect((await reader.getLatestValue()).toString()).to.equal('new-password');
+    });
+  });
+
+  Scenario('secret is updated after rotation is committed', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('old-password') } });
+    });
+
+    And('a rotation has been committed', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.beginRotation(() => 'new-password');
+      await concurrentSecret.commitRotation();
+    });
+
+    When('secret is updated without maintain aliases option', async () => {
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'newer-password');
+    });
+
+    Then('current alias is moved to the new version', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '3' });
+    });
+
+    And('readers with current read alias get the newer password', async () => {
+      const reader = new ConcurrentSecret(secretName, client, { readAlias: 'current' });
+      expect((await reader.getLatestValue()).toString()).to.equal('newer-password');
+    });
+  });
+
+  Scenario('lock is lost while secret is updated after rotation is committed', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('old-password') } });
+    });
+
+    And('a rotation has been committed', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.beginRotation(() => 'new-password');
+      await concurrentSecret.commitRotation();
+    });
+
+    let result;
+    When('lock is taken by another process while secret is updated', async () => {
+      result = await new ConcurrentSecret(secretName, client, { ownerId: 'this-process' })
+        .optimisticUpdate(async () => {
+          const otherSecret = new ConcurrentSecret(secretName, client, { ownerId: 'other-process' });
+          await otherSecret.forceUnlock();
+          await otherSecret.lock();
+          return 'newer-password';
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails since secret etag has changed', () => {
+      expect(result).to.be.instanceOf(AggregateError);
+      expect(result.cause).to.be.instanceOf(EtagConflictError);
+    });
+
+    And('current alias still points at the committed version which is not destroyed', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2' });
+
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+      expect(version.state).to.equal('ENABLED');
+    });
+
+    And('readers with current read alias get the committed password', async () => {
+      const reader = new ConcurrentSecret(secretName, client, { readAlias: 'current' });
+      expect((await reader.getLatestValue()).toString()).to.equal('new-password');
+    });
+  });
+
+  Scenario('abort rotation', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('old-password') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('rotation has begun', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client);
+      await concurrentSecret.beginRotation(() => 'new-password');
+    });
+
+    let result;
+    When('aborting rotation', async () => {
+      result = await concurrentSecret.abortRotation();
+    });
+
+    Then('pending version name is returned', () => {
+      expect(result).to.equal(path.join(secretName, 'versions/2'));
+    });
+
+    And('pending version is disabled', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+      expect(version.state).to.equal('DISABLED');
+    });
+
+    And('current version data is restored as a new version aliased as current', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '3' });
+
+      const [data] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/current') });
+      expect(data.name).to.equal(path.join(secretName, 'versions/3'));
+      expect(data.payload.data.toString()).to.equal('old-password');
+    });
+
+    And('previously current version is destroyed', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+      expect(version.state).to.equal('DESTROYED');
+    });
+
+    And('readers without read alias get the old password', async () => {
+      expect((await new ConcurrentSecret(secretName, client).getLatestValue()).toString()).to.equal('old-password');
+    });
+
+    And('disabled pending version cannot be accessed', async () => {
+      const error = await client.accessSecretVersion({ name: path.join(secretName, 'versions/2') }).catch((err) => err);
+      expect(error).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+    });
+
+    When('a new rotation begins', async () => {
+      result = await concurrentSecret.beginRotation(() => 'another-password');
+    });
+
+    Then('current alias is kept', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '3', pending: '4' });
+    });
+  });
+
+  Scenario('begin rotation fails in get new secret function', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('old-password') } });
+    });
+
+    let result;
+    When('beginning rotation with failing function', async () => {
+      result = await new ConcurrentSecret(secretName, client)
+        .beginRotation(() => Promise.reject(new Error('database unavailable')))
+        .catch((err) => err);
+    });
+
+    Then('rotation fails', () => {
+      expect(result).to.match(/database unavailable/);
+    });
+
+    And('secret is unlocked without pending alias', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({});
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+  });
+});
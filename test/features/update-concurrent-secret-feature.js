@@ -1,7 +1,8 @@
 import { randomInt } from 'node:crypto';
+import { hostname } from 'node:os';
 import path from 'node:path/posix';
 
-import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import { ConcurrentSecret, UpdateFunctionError } from '@aller/google-cloud-secret';
 import secretManager from '@google-cloud/secret-manager';
 import * as ck from 'chronokinesis';
 
@@ -57,7 +58,12 @@ Feature('update concurrent secret', () => {
     Then('secret is updated with lock annotation', async () => {
       const [secret] = await client.getSecret({ name: secretName });
 
-      expect(secret.annotations).to.deep.equal({ foo: 'bar', locked_at: new Date().toISOString() });
+      expect(secret.annotations).to.deep.equal({
+        foo: 'bar',
+        locked_at: new Date().toISOString(),
+        locked_by: `${hostname()}/${process.pid}`,
+        fencing_token: '1',
+      });
     });
 
     And('another attempt to lock secret fails with PRECONDITION FAILED already disabled', async () => {
@@ -119,7 +125,7 @@ Feature('update concurrent secret', () => {
     And('secret is decorated with updated annotation', async () => {
       const [secret] = await client.getSecret({ name: secretName });
 
-      expect(secret.annotations).to.deep.equal({ foo: 'bar', updated_at: new Date().toISOString() });
+      expect(secret.annotations).to.deep.equal({ foo: 'bar', updated_at: new Date().toISOString(), fencing_token: '2' });
     });
 
     When('updating concurrent secret with another Buffer secret', async () => {
@@ -156,7 +162,7 @@ Feature('update concurrent secret', () => {
     And('secret is decorated with updated annotation', async () => {
       const [secret] = await client.getSecret({ name: secretName });
 
-      expect(secret.annotations).to.deep.equal({ foo: 'bar', updated_at: new Date().toISOString() });
+      expect(secret.annotations).to.deep.equal({ foo: 'bar', updated_at: new Date().toISOString(), fencing_token: '3' });
     });
   });
 
@@ -216,7 +222,7 @@ Feature('update concurrent secret', () => {
     And('secret is decorated with updated annotation', async () => {
       const [secret] = await client.getSecret({ name: secretName });
 
-      expect(secret.annotations).to.deep.equal({ foo: 'bar', updated_at: new Date().toISOString() });
+      expect(secret.annotations).to.deep.equal({ foo: 'bar', updated_at: new Date().toISOString(), fencing_token: '1' });
     });
   });
 
@@ -717,8 +723,6 @@ Feature('update concurrent secret', () => {
   });
 
   Scenario('secret is updated from somewhere else before unlock', () => {
-    after(ck.reset);
-
     const secretId = `my-secret-${randomInt(10000)}`;
     const parent = 'projects/1234';
     const secretName = path.join(parent, 'secrets', secretId);
@@ -743,14 +747,115 @@ Feature('update concurrent secret', () => {
       result = await concurrentSecret.unlock().catch((err) => err);
     });
 
-    Then('unlock fails', () => {
-      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+    Then('unlock re-reads secret and releases lock', async () => {
+      expect(result, result?.message).to.be.undefined;
+
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    And('another lock is possible without waiting for grace period', async () => {
+      await concurrentSecret.lock();
+      await concurrentSecret.unlock();
     });
+  });
 
-    But('another lock is possible after grace period', async () => {
-      ck.travel(Date.now() + 60001);
+  Scenario('secret is locked by another process before unlock', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent: 'projects/1234', secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
 
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    Given('current instance has locked secret', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { ownerId: 'this-process' });
       await concurrentSecret.lock();
     });
+
+    And('lock is forcibly taken by another process', async () => {
+      const otherSecret = new ConcurrentSecret(secretName, client, { ownerId: 'other-process' });
+      await otherSecret.forceUnlock();
+      await otherSecret.lock();
+    });
+
+    let result;
+    When('current instance attempts to unlock secret', async () => {
+      result = await concurrentSecret.unlock().catch((err) => err);
+    });
+
+    Then('unlock fails since lock is not owned', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result.message).to.match(/not owned by this-process/);
+    });
+
+    And('lock of the other process is kept', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.have.property('locked_by', 'other-process');
+    });
+  });
+
+  Scenario('update function fails and unlock fails', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent: 'projects/1234', secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let result;
+    When('update function fails after lock is forcibly taken by another process', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { ownerId: 'this-process' });
+      result = await concurrentSecret
+        .optimisticUpdate(async () => {
+          const otherSecret = new ConcurrentSecret(secretName, client, { ownerId: 'other-process' });
+          await otherSecret.forceUnlock();
+          await otherSecret.lock();
+          throw new Error('Update function failed');
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails with an aggregate error of update function and unlock errors', () => {
+      expect(result).to.be.instanceOf(AggregateError);
+      expect(result.cause).to.be.instanceOf(UpdateFunctionError);
+      expect(result.cause.cause).to.have.property('message', 'Update function failed');
+      expect(result.errors).to.have.length(2);
+      expect(result.errors[0]).to.equal(result.cause);
+      expect(result.errors[1]).to.have.property('code', RpcCodes.FAILED_PRECONDITION);
+      expect(result.message).to.match(/Update function failed/);
+    });
+  });
+
+  Scenario('update function fails and unlock succeeds', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent: 'projects/1234', secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    let result;
+    When('update function fails', async () => {
+      result = await new ConcurrentSecret(secretName, client)
+        .optimisticUpdate(() => Promise.reject(new Error('Update function failed')))
+        .catch((err) => err);
+    });
+
+    Then('update fails with update function error', () => {
+      expect(result).to.be.instanceOf(UpdateFunctionError);
+      expect(result).to.have.property('code', RpcCodes.UNKNOWN);
+      expect(result.cause).to.have.property('message', 'Update function failed');
+    });
+
+    And('secret is unlocked', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
   });
 });
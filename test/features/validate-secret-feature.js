@@ -0,0 +1,261 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+import { mock } from 'node:test';
+
+import { ConcurrentSecret, SecretValidationError } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('validate new secret value', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+  after(() => mock.restoreAll());
+
+  Scenario('validate function rejects new value', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('valid-token-1') } });
+    });
+
+    const validateCalls = [];
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with validate function', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, {
+        validate(newValue, previousValue) {
+          validateCalls.push([newValue, previousValue?.toString()]);
+          return newValue.startsWith('valid-');
+        },
+      });
+    });
+
+    let result;
+    When('updating secret with a broken token', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => 'broken').catch((err) => err);
+    });
+
+    Then('update fails with validation error', () => {
+      expect(result).to.be.instanceOf(SecretValidationError);
+      expect(result.code).to.equal(RpcCodes.INVALID_ARGUMENT);
+    });
+
+    And('validate function was called with new and previous value', () => {
+      expect(validateCalls).to.deep.equal([['broken', 'valid-token-1']]);
+    });
+
+    And('no version was added and secret is unlocked', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(1);
+
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    When('updating secret with a valid token', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => 'valid-token-2');
+    });
+
+    Then('update succeeds', () => {
+      expect(result).to.equal('valid-token-2');
+    });
+  });
+
+  Scenario('validate function throws', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    let previous;
+    let result;
+    When('updating secret with a validate function that throws', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, {
+        validate(_newValue, previousValue) {
+          previous = previousValue;
+          throw new Error('token expired');
+        },
+      });
+      result = await concurrentSecret.optimisticUpdate(() => 'token').catch((err) => err);
+    });
+
+    Then('update fails with validation error caused by validate error', () => {
+      expect(result).to.be.instanceOf(SecretValidationError);
+      expect(result).to.match(/token expired/);
+      expect(result.cause).to.match(/token expired/);
+    });
+
+    And('previous value was null', () => {
+      expect(previous).to.be.null;
+    });
+  });
+
+  Scenario('added version fails verification', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with verify option that reads back corrupted data', () => {
+      concurrentSecret = new ConcurrentSecret(
+        secretName,
+        { apiEndpoint: 'localhost', port: server.origin.port, auth: fakeAuth() },
+        { verify: true }
+      );
+      const accessSecretVersion = concurrentSecret.client.accessSecretVersion.bind(concurrentSecret.client);
+      mock.method(concurrentSecret.client, 'accessSecretVersion', (request, ...args) => {
+        if (!request.name.endsWith('/versions/2')) return accessSecretVersion(request, ...args);
+        return Promise.resolve([{ name: request.name, payload: { data: Buffer.from('corrupted') } }]);
+      });
+    });
+    after(() => concurrentSecret.client.close());
+
+    let result;
+    When('updating secret', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => 'version-2').catch((err) => err);
+    });
+
+    Then('update fails with validation error', () => {
+      expect(result).to.be.instanceOf(SecretValidationError);
+      expect(result).to.match(/verification/);
+    });
+
+    And('added version is disabled and previous version is destroyed since its data is restored', async () => {
+      const [addedVersion] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+      expect(addedVersion.state).to.equal('DISABLED');
+
+      const [previousVersion] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+      expect(previousVersion.state).to.equal('DESTROYED');
+    });
+
+    And('previous data is restored as latest version', async () => {
+      const [latestVersion] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/latest') });
+      expect(latestVersion.name).to.equal(path.join(secretName, 'versions/3'));
+      expect(latestVersion.payload.data.toString()).to.equal('version-1');
+    });
+
+    And('latest data is readable', async () => {
+      expect((await concurrentSecret.getLatestData()).payload.data.toString()).to.equal('version-1');
+    });
+
+    When('rolling back secret', async () => {
+      result = await concurrentSecret.rollback().catch((err) => err);
+    });
+
+    Then('rollback fails with not found since the version that failed verification is skipped', async () => {
+      expect(result, 'rollback error').to.have.property('code', RpcCodes.NOT_FOUND);
+
+      const [addedVersion] = await client.getSecretVersion({ name: path.join(secretName, 'versions/2') });
+      expect(addedVersion.state).to.equal('DISABLED');
+    });
+
+    When('updating secret with verify option that reads back the same data', async () => {
+      mock.restoreAll();
+      result = await concurrentSecret.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('update succeeds', () => {
+      expect(result).to.equal('version-3');
+    });
+
+    And('only the new version is enabled', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(Object.fromEntries(versions.map((v) => [v.name.split('/').pop(), v.state]))).to.deep.equal({
+        1: 'DESTROYED',
+        2: 'DISABLED',
+        3: 'DESTROYED',
+        4: 'ENABLED',
+      });
+    });
+  });
+
+  Scenario('added version of secret with current alias fails verification', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('secret is updated with maintain aliases', async () => {
+      await new ConcurrentSecret(secretName, client, { maintainAliases: true }).optimisticUpdate(() => 'version-2');
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    And('a concurrent secret with verify and retention options that reads back corrupted data', () => {
+      concurrentSecret = new ConcurrentSecret(
+        secretName,
+        { apiEndpoint: 'localhost', port: server.origin.port, auth: fakeAuth() },
+        { verify: true, maintainAliases: true, retention: { keepEnabled: 1, keepVersions: 3 } }
+      );
+      const accessSecretVersion = concurrentSecret.client.accessSecretVersion.bind(concurrentSecret.client);
+      mock.method(concurrentSecret.client, 'accessSecretVersion', (request, ...args) => {
+        if (!request.name.endsWith('/versions/3')) return accessSecretVersion(request, ...args);
+        return Promise.resolve([{ name: request.name, payload: { data: Buffer.from('corrupted') } }]);
+      });
+    });
+    after(() => {
+      mock.restoreAll();
+      return concurrentSecret.client.close();
+    });
+
+    let result;
+    When('updating secret', async () => {
+      result = await concurrentSecret.optimisticUpdate(() => 'version-3').catch((err) => err);
+    });
+
+    Then('update fails with validation error', () => {
+      expect(result).to.be.instanceOf(SecretValidationError);
+    });
+
+    And('current alias is moved to the restored version', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.have.property('current', '4');
+
+      const reader = new ConcurrentSecret(secretName, client, { readAlias: 'current' });
+      expect((await reader.getLatestValue()).toString()).to.equal('version-2');
+    });
+
+    And('retention is applied to the version that data was restored from', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(Object.fromEntries(versions.map((v) => [v.name.split('/').pop(), v.state]))).to.deep.equal({
+        1: 'DESTROYED',
+        2: 'DISABLED',
+        3: 'DISABLED',
+        4: 'ENABLED',
+      });
+    });
+  });
+});
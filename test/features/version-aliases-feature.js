@@ -0,0 +1,280 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret, EtagConflictError, SecretsCache } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+
+Feature('maintain version aliases', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('update secret with maintain aliases', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is updated with maintain aliases and retention of two versions', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { maintainAliases: true, retention: { keepEnabled: 2 } });
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('current alias points at new version and previous at the retired version', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2', previous: '1' });
+      expect(secret.annotations).to.have.property('updated_at');
+    });
+
+    When('secret is updated again', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('aliases are moved', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '3', previous: '2' });
+    });
+
+    And('previous version data is readable by alias', async () => {
+      const [version] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/previous') });
+      expect(version.payload.data.toString()).to.equal('version-2');
+    });
+  });
+
+  Scenario('update secret with maintain aliases without retention', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is updated with maintain aliases', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { maintainAliases: true });
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('retired version is destroyed', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+      expect(version.state).to.equal('DESTROYED');
+    });
+
+    And('only current alias is set since the retired version is destroyed', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2' });
+    });
+
+    When('secret is updated again', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('current alias is moved and previous alias is still not set', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '3' });
+    });
+
+    When('secret is updated with retention that keeps one version', async () => {
+      await new ConcurrentSecret(secretName, client, { maintainAliases: true, retention: { keepEnabled: 1 } }).optimisticUpdate(
+        () => 'version-4'
+      );
+    });
+
+    Then('previous alias is not set since retention destroyed the retired version', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '4' });
+    });
+  });
+
+  Scenario('update secret without versions with maintain aliases', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret without versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+    });
+
+    When('secret is updated with maintain aliases', async () => {
+      await new ConcurrentSecret(secretName, client, { maintainAliases: true }).optimisticUpdate(() => 'version-1');
+    });
+
+    Then('only current alias is set', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '1' });
+    });
+  });
+
+  Scenario('lock is lost while secret is updated with maintain aliases', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('secret is updated with maintain aliases', async () => {
+      await new ConcurrentSecret(secretName, client, { maintainAliases: true }).optimisticUpdate(() => 'version-2');
+    });
+
+    let result;
+    When('lock is taken by another process while secret is updated again', async () => {
+      result = await new ConcurrentSecret(secretName, client, { maintainAliases: true, ownerId: 'this-process' })
+        .optimisticUpdate(async () => {
+          const otherSecret = new ConcurrentSecret(secretName, client, { ownerId: 'other-process' });
+          await otherSecret.forceUnlock();
+          await otherSecret.lock();
+          return 'version-3';
+        })
+        .catch((err) => err);
+    });
+
+    Then('update fails since secret etag has changed', () => {
+      expect(result).to.be.instanceOf(AggregateError);
+      expect(result.cause).to.be.instanceOf(EtagConflictError);
+    });
+
+    And('current alias still points at a version that is not destroyed', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2' });
+
+      const [version] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/current') });
+      expect(version.payload.data.toString()).to.equal('version-2');
+    });
+  });
+
+  Scenario('commit rotation with maintain aliases', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('rotation is committed with maintain aliases', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { maintainAliases: true });
+      await concurrentSecret.beginRotation(() => 'version-2');
+      await concurrentSecret.commitRotation();
+    });
+
+    Then('retired version is destroyed', async () => {
+      const [version] = await client.getSecretVersion({ name: path.join(secretName, 'versions/1') });
+      expect(version.state).to.equal('DESTROYED');
+    });
+
+    And('only current alias is set since the retired version is destroyed', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '2' });
+    });
+
+    When('rotation is committed with maintain aliases and retention of two versions', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { maintainAliases: true, retention: { keepEnabled: 2 } });
+      await concurrentSecret.beginRotation(() => 'version-3');
+      await concurrentSecret.commitRotation();
+    });
+
+    Then('current alias points at committed version and previous at the retired version', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({ current: '3', previous: '2' });
+      expect(secret.annotations).to.not.have.property('locked_at');
+    });
+
+    And('previous version data is readable by alias', async () => {
+      const [version] = await client.accessSecretVersion({ name: path.join(secretName, 'versions/previous') });
+      expect(version.payload.data.toString()).to.equal('version-2');
+    });
+  });
+
+  Scenario('update secret without maintain aliases', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    When('secret is updated', async () => {
+      await new ConcurrentSecret(secretName, client).optimisticUpdate(() => 'version-2');
+    });
+
+    Then('secret has no version aliases', async () => {
+      const [secret] = await client.getSecret({ name: secretName });
+      expect(secret.versionAliases).to.deep.equal({});
+    });
+  });
+
+  Scenario('read latest data by alias', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with two versions', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-2') } });
+    });
+
+    Then('reading by current alias falls back to latest version since secret lacks alias', async () => {
+      const data = await new ConcurrentSecret(secretName, client, { readAlias: 'current' }).getLatestData();
+      expect(data.name).to.match(/\/versions\/2$/);
+    });
+
+    Given('current alias points at first version', async () => {
+      await client.updateSecret({
+        secret: { name: secretName, versionAliases: { current: 1 } },
+        updateMask: { paths: ['version_aliases'] },
+      });
+    });
+
+    Then('latest data is read by current alias', async () => {
+      const data = await new ConcurrentSecret(secretName, client, { readAlias: 'current' }).getLatestData();
+      expect(data.name).to.match(/\/versions\/1$/);
+      expect(data.payload.data.toString()).to.equal('version-1');
+    });
+
+    And('cached secret reads by current alias', async () => {
+      const cache = new SecretsCache(client);
+      cache.set(secretName, null, undefined, { readAlias: 'current' });
+      const cachedSecret = await cache.get(secretName);
+      expect(cachedSecret.value).to.equal('version-1');
+      expect(cachedSecret.versionName).to.match(/\/versions\/1$/);
+    });
+
+    But('latest data without read alias is latest version', async () => {
+      const data = await new ConcurrentSecret(secretName, client).getLatestData();
+      expect(data.name).to.match(/\/versions\/2$/);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, reset } from '../helpers/fake-server.js';
+
+Feature('version retention', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  /**
+   * @param {string} secretName
+   * @returns {Promise<Record<string, string>>} version state by version number
+   */
+  async function getVersionStates(secretName) {
+    const [versions] = await client.listSecretVersions({ parent: secretName });
+    return Object.fromEntries(
+      versions.map((v) => [v.name.split('/').pop(), v.scheduledDestroyTime ? 'SCHEDULED_FOR_DESTRUCTION' : v.state])
+    );
+  }
+
+  Scenario('keep two versions enabled and one disabled', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with one version', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    When('secret is updated with retention policy', async () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { retention: { keepEnabled: 2, keepVersions: 3 } });
+      await concurrentSecret.optimisticUpdate(() => 'version-2');
+    });
+
+    Then('previous version is still enabled', async () => {
+      expect(await getVersionStates(secretName)).to.deep.equal({ 1: 'ENABLED', 2: 'ENABLED' });
+    });
+
+    When('secret is updated again', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('oldest version is disabled', async () => {
+      expect(await getVersionStates(secretName)).to.deep.equal({ 1: 'DISABLED', 2: 'ENABLED', 3: 'ENABLED' });
+    });
+
+    When('secret is updated two more times', async () => {
+      await concurrentSecret.optimisticUpdate(() => 'version-4');
+      await concurrentSecret.optimisticUpdate(() => 'version-5');
+    });
+
+    Then('versions beyond retention are destroyed', async () => {
+      expect(await getVersionStates(secretName)).to.deep.equal({
+        1: 'DESTROYED',
+        2: 'DESTROYED',
+        3: 'DISABLED',
+        4: 'ENABLED',
+        5: 'ENABLED',
+      });
+    });
+  });
+
+  Scenario('secret with version destroy ttl and retention that only keeps enabled versions', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version destroy ttl and two versions', async () => {
+      await client.createSecret({
+        parent,
+        secretId,
+        secret: { versionDestroyTtl: { seconds: 86400, nanos: 0 }, replication: { automatic: {} } },
+      });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-2') } });
+    });
+
+    When('secret is updated with retention policy', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { retention: { keepEnabled: 2 } });
+      await concurrentSecret.optimisticUpdate(() => 'version-3');
+    });
+
+    Then('oldest version is scheduled for destruction', async () => {
+      expect(await getVersionStates(secretName)).to.deep.equal({ 1: 'SCHEDULED_FOR_DESTRUCTION', 2: 'ENABLED', 3: 'ENABLED' });
+    });
+  });
+});
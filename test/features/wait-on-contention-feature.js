@@ -0,0 +1,153 @@
+import { randomInt } from 'node:crypto';
+import path from 'node:path/posix';
+
+import { CachedSecret, ConcurrentSecret } from '@aller/google-cloud-secret';
+import secretManager from '@google-cloud/secret-manager';
+
+import { fakeAuth } from '../helpers/fake-auth.js';
+import { startServer, RpcCodes, reset } from '../helpers/fake-server.js';
+
+Feature('wait for concurrent version on lock contention', () => {
+  /** @type {import('@grpc/grpc-js').Server} */
+  let server;
+  /** @type {import('@google-cloud/secret-manager').SecretManagerServiceClient} */
+  let client;
+  before('grpc server', async () => {
+    server = await startServer();
+    client = new secretManager.v1.SecretManagerServiceClient({
+      apiEndpoint: 'localhost',
+      port: server.origin.port,
+      auth: fakeAuth(),
+    });
+  });
+  after(async () => {
+    client = await client.close();
+    server = server?.forceShutdown();
+    reset();
+  });
+
+  Scenario('another process holds the lock and adds a new version', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let otherSecret;
+    let resolveOtherUpdate;
+    And('another process has locked secret and is fetching a new secret value', () => {
+      otherSecret = new ConcurrentSecret(secretName, client);
+      const otherUpdate = otherSecret.optimisticUpdate(() => new Promise((resolve) => (resolveOtherUpdate = resolve)));
+      return new Promise((resolve, reject) => {
+        otherUpdate.catch(reject);
+        (function waitForLock() {
+          if (resolveOtherUpdate && otherSecret.secret) return resolve();
+          setTimeout(waitForLock, 5);
+        })();
+      });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let concurrentSecret;
+    let promisedResult;
+    When('current process attempts to update secret waiting on contention', () => {
+      concurrentSecret = new ConcurrentSecret(secretName, client, { onContention: 'wait', pollIntervalMs: 10 });
+      promisedResult = concurrentSecret.optimisticUpdate(() => Promise.resolve('version-from-current-process')).catch((err) => err);
+    });
+
+    And('the other process completes update', () => {
+      setTimeout(() => resolveOtherUpdate('version-from-other-process'), 30);
+    });
+
+    Then('the other process version data is returned', async () => {
+      const result = await promisedResult;
+      expect(result.toString(), result?.message).to.equal('version-from-other-process');
+    });
+
+    And('updated version name is the other process version', () => {
+      expect(concurrentSecret.updatedVersionName).to.match(/\/versions\/2$/);
+    });
+
+    And('no extra version was added', async () => {
+      const [versions] = await client.listSecretVersions({ parent: secretName });
+      expect(versions).to.have.length(2);
+    });
+  });
+
+  Scenario('another process holds the lock but never adds a version', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    And('another process has locked secret', async () => {
+      await new ConcurrentSecret(secretName, client).lock();
+    });
+
+    let result;
+    When('current process attempts to update secret waiting on contention with a short grace period', async () => {
+      const concurrentSecret = new ConcurrentSecret(secretName, client, { onContention: 'wait', pollIntervalMs: 10, gracePeriodMs: 100 });
+      result = await concurrentSecret.optimisticUpdate(() => Promise.resolve('version-2')).catch((err) => err);
+    });
+
+    Then('update failed with lock error once grace period has expired', () => {
+      expect(result.code, result?.message).to.equal(RpcCodes.FAILED_PRECONDITION);
+      expect(result).to.match(/by another process/i);
+    });
+  });
+
+  Scenario('cached secret waits for concurrent version', () => {
+    const secretId = `my-secret-${randomInt(10000)}`;
+    const parent = 'projects/1234';
+    const secretName = path.join(parent, 'secrets', secretId);
+
+    let version1;
+    Given('a secret with version exists', async () => {
+      await client.createSecret({ parent, secretId, secret: { replication: { automatic: {} } } });
+      [version1] = await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-1') } });
+    });
+
+    /** @type {ConcurrentSecret} */
+    let otherSecret;
+    And('another process has locked secret', async () => {
+      otherSecret = new ConcurrentSecret(secretName, client);
+      await otherSecret.lock();
+    });
+
+    /** @type {CachedSecret} */
+    let cachedSecret;
+    let promisedValue;
+    When('cached secret is updated waiting on contention', () => {
+      cachedSecret = new CachedSecret(secretName, 'version-1', {
+        client,
+        versionName: version1.name,
+        updateMethod: () => Promise.resolve('version-from-cached-secret'),
+        onContention: 'wait',
+        pollIntervalMs: 10,
+      });
+      promisedValue = cachedSecret.update();
+    });
+
+    And('the other process adds a new version', async () => {
+      await client.addSecretVersion({ parent: secretName, payload: { data: Buffer.from('version-from-other-process') } });
+      await otherSecret.unlock();
+    });
+
+    Then('cached secret has the other process value', async () => {
+      expect(await promisedValue).to.equal('version-from-other-process');
+      expect(cachedSecret.value).to.equal('version-from-other-process');
+    });
+
+    And('cached secret version name is the other process version', () => {
+      expect(cachedSecret.versionName).to.match(/\/versions\/2$/);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { metrics, trace } from '@opentelemetry/api';
+
+import { resetInstruments } from '../../src/telemetry.js';
+
+/** @type {FakeSpan[]} */
+export const spans = [];
+
+/** @type {{ name: string, value: number, attributes: Record<string, any> }[]} */
+export const measurements = [];
+
+export class FakeSpan {
+  /**
+   * @param {string} name
+   * @param {Record<string, any>} attributes
+   */
+  constructor(name, attributes) {
+    this.name = name;
+    this.attributes = attributes;
+    this.status = undefined;
+    this.exception = undefined;
+    this.ended = false;
+  }
+  recordException(exception) {
+    this.exception = exception;
+  }
+  setStatus(status) {
+    this.status = status;
+  }
+  end() {
+    this.ended = true;
+  }
+}
+
+/**
+ * Register fake global tracer and meter providers, cached instruments are reset to be created with the fake meter
+ */
+export function registerFakeTelemetry() {
+  const tracer = {
+    startActiveSpan(name, options, fn) {
+      const span = new FakeSpan(name, options.attributes);
+      spans.push(span);
+      return fn(span);
+    },
+  };
+
+  const meter = {
+    createCounter(name) {
+      return { add: (value, attributes) => measurements.push({ name, value, attributes }) };
+    },
+    createHistogram(name) {
+      return { record: (value, attributes) => measurements.push({ name, value, attributes }) };
+    },
+  };
+
+  // @ts-ignore
+  trace.setGlobalTracerProvider({ getTracer: () => tracer });
+  // @ts-ignore
+  metrics.setGlobalMeterProvider({ getMeter: () => meter });
+
+  resetInstruments();
+}
+
+/**
+ * Disable fake global tracer and meter providers, reset cached instruments and recorded spans and measurements
+ */
+export function unregisterFakeTelemetry() {
+  trace.disable();
+  metrics.disable();
+  resetInstruments();
+  resetTelemetry();
+}
+
+/**
+ * Reset recorded spans and measurements
+ */
+export function resetTelemetry() {
+  spans.splice(0);
+  measurements.splice(0);
+}
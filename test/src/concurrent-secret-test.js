@@ -150,5 +150,34 @@ describe('concurrent secret', () => {
       await concurrentSecret.unlock();
       await concurrentSecret.unlock();
     });
+
+    it('unlock refuses to release lock owned by another process', async () => {
+      const secretId = `my-secret-${randomInt(10000)}`;
+
+      await client.createSecret({
+        parent: 'projects/1234',
+        secretId,
+        secret: { replication: { automatic: {} } },
+      });
+
+      const name = `projects/1234/secrets/${secretId}`;
+      await new ConcurrentSecret(name, client, { ownerId: 'other-process' }).lock();
+
+      const concurrentSecret = new ConcurrentSecret(name, client, { ownerId: 'this-process' });
+      [concurrentSecret.secret] = await client.getSecret({ name });
+
+      try {
+        await concurrentSecret.unlock();
+      } catch (err) {
+        // eslint-disable-next-line no-var
+        var error = err;
+      }
+
+      expect(error?.code).to.equal(9);
+      expect(error?.message).to.match(/not owned by this-process/);
+
+      const [secret] = await client.getSecret({ name });
+      expect(secret.annotations).to.have.property('locked_by', 'other-process');
+    });
   });
 });
@@ -1,16 +1,82 @@
 declare module '@aller/google-cloud-secret' {
+	import type { EventEmitter } from 'node:events';
 	import type { default as secretManager } from '@google-cloud/secret-manager';
 	import type { LRUCache } from 'lru-cache';
+	/**
+	 * Create Secret Manager Pub/Sub notification handler. Rotate events update the secret with the rotate function,
+	 * version events invalidate the secret in the secrets cache, and delete events remove the secret from the secrets cache
+	 * @returns handler accepting a pull message, or a push request body or Cloud Function event data with message
+	 */
+	export function createNotificationHandler(options: notificationHandlerOptions): (message: pubSubMessage | {
+		message: pubSubMessage;
+	}) => Promise<notificationResult>;
 	export class ConcurrentSecretError extends Error {
 		
 		constructor(message: string, code: import("google-gax").Status);
 		
 		code: import("google-gax").Status;
 	}
-	export default class ConcurrentSecret_1 {
+	export class SecretValidationError extends ConcurrentSecretError {
 		/**
-		 * @param name secret resource name, e.g. `projects/1234/secrets/concurrent-test-secret`
-		 * @param clientOrClientOptions Secret Manager client instance or the options for a new one
+		 * @param cause validate function error
+		 */
+		constructor(message: string, cause?: unknown);
+		cause: unknown;
+	}
+	export class SecretDecodeError extends ConcurrentSecretError {
+		/**
+		 * @param cause codec decode error
+		 */
+		constructor(message: string, cause?: unknown);
+		cause: unknown;
+	}
+	export class SecretIntegrityError extends ConcurrentSecretError {
+		
+		constructor(message: string);
+	}
+	export class SecretLockedError extends ConcurrentSecretError {
+		
+		constructor(message: string, { lockedAt, lockedBy, retryAfterMs }: secretLockedErrorDetails);
+		/** @type {Date} lock time */
+		lockedAt: Date;
+		/** @type {string|undefined} lock owner */
+		lockedBy: string | undefined;
+		/** @type {number} milliseconds until lock grace period expires */
+		retryAfterMs: number;
+	}
+	export class EtagConflictError extends ConcurrentSecretError {
+		/**
+		 * @param cause gRPC error
+		 */
+		constructor(message: string, cause?: unknown);
+		cause: unknown;
+	}
+	export class SecretNotFoundError extends ConcurrentSecretError {
+		/**
+		 * @param cause gRPC error
+		 */
+		constructor(message: string, cause?: unknown);
+		cause: unknown;
+	}
+	export class NoVersionsError extends ConcurrentSecretError {
+		/**
+		 * @param cause gRPC error
+		 */
+		constructor(message: string, cause?: unknown);
+		cause: unknown;
+	}
+	export class UpdateFunctionError extends ConcurrentSecretError {
+		/**
+		 * @param cause update function error
+		 */
+		constructor(message: string, cause?: unknown);
+		cause: unknown;
+	}
+
+	export default class ConcurrentSecret_1 extends EventEmitter<concurrentSecretEvents> {
+		/**
+		 * @param name secret resource name, e.g. `projects/1234/secrets/concurrent-test-secret` or regional `projects/1234/locations/europe-north1/secrets/concurrent-test-secret`
+		 * @param clientOrClientOptions Secret Manager client instance or the options for a new one, a new client for a regional secret uses the regional endpoint unless apiEndpoint is set
 		 * @param options options
 		 */
 		constructor(name: string, clientOrClientOptions?: import("google-gax").ClientOptions | import("@google-cloud/secret-manager").v1.SecretManagerServiceClient, options?: concurrentSecretOptions);
@@ -25,6 +91,22 @@ declare module '@aller/google-cloud-secret' {
 		 * Updated version name
 		 * */
 		updatedVersionName: string | undefined;
+		/**
+		 * Secret as updated along with the latest added version
+		 * */
+		updatedSecret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret | undefined;
+		/**
+		 * Fencing token of the latest acquired lock, increases with every lock
+		 * */
+		fencingToken: number | undefined;
+		/**
+		 * Time in epoch milliseconds when the current lock was acquired
+		 * */
+		lockedAt: number | undefined;
+		/**
+		 * Lock strategy specific handle of the current lock
+		 * */
+		lockHandle: any;
 		/** @type {concurrentSecretOptions} [gracePeriodMs] Lock grace period in milliseconds, continue if secret is locked beyond grace period */
 		options: concurrentSecretOptions;
 		/**
@@ -38,69 +120,382 @@ declare module '@aller/google-cloud-secret' {
 		 */
 		getLatestData(throwOnNotFound?: boolean): Promise<secretManager.protos.google.cloud.secretmanager.v1.IAccessSecretVersionResponse>;
 		/**
-		 * Update secret with new version. Destroy the previous version on successful update.
-		 * @param fn get new secret function, call this function if a lock was acheieved
+		 * @internal Access version aliased by readAlias option, or latest version if option is not set or secret lacks alias
+		 */
+		_accessLatestVersion(): Promise<secretManager.protos.google.cloud.secretmanager.v1.IAccessSecretVersionResponse>;
+		/**
+		 * @internal Map latest version not found error to secret not found or no versions error
+		 * @param err latest version not found gRPC error
+		 * @returns SecretNotFoundError, NoVersionsError, or the original error if secret could not be read
+		 */
+		_toNotFoundError(err: unknown): Promise<unknown>;
+		/**
+		 * Get latest version secret value, decoded with codec option if set
+		 * @returns decoded value, or buffer if codec option is not set, null if secret lacks versions
+		 */
+		getLatestValue(throwOnNotFound?: boolean): Promise<any>;
+		/**
+		 * Update secret with new version. Destroy the previous version on successful update, or apply retention option if set.
+		 * If onContention option is set to wait the version added by the process holding the lock is returned.
+		 * If coalesceUpdates option is true, concurrent calls for the same secret name within the process are coalesced, callers joining an in-flight update receive its result and their function is not called
+		 * @param fn get new secret function, call this function if a lock was acheieved, called with args followed by an update context, return value is encoded with codec option if set
 		 * @param  args optional arguments to function
 		 * @returns new secret version data
 		 */
-		optimisticUpdate(fn: (...args: any) => Promise<string | Buffer>, ...args: any[]): Promise<string | Buffer>;
+		optimisticUpdate<T = string | Buffer<ArrayBufferLike>>(fn: (...args: any) => T | Promise<T>, ...args: any[]): Promise<T>;
+		/**
+		 * @internal Update secret with new version
+		 * @param fn get new secret function
+		 * @param args arguments to function
+		 * @param onlyIfDue only update if rotation is due according to the rotation schedule of the locked secret
+		 * @returns new secret version data, or null if rotation is not due
+		 */
+		_optimisticUpdate<T = string | Buffer<ArrayBufferLike>>(fn: (...args: any) => T | Promise<T>, args: any[], onlyIfDue?: boolean): Promise<T | null>;
+		/**
+		 * @internal Wait for in-flight update started by another instance in the process
+		 * */
+		_joinUpdate(pendingUpdate: pendingUpdate): Promise<any>;
+		/**
+		 * Begin two-phase rotation by adding a new version that is aliased as pending, the current version is kept aliased as current.
+		 * Complete rotation with commitRotation or abortRotation. The pending version is latest during rotation, readers must use readAlias option current
+		 * @param fn get new secret function, call this function if a lock was acheieved, called with args followed by an update context, return value is encoded with codec option if set
+		 * @param  args optional arguments to function
+		 * @returns pending secret version data
+		 */
+		beginRotation<T = string | Buffer<ArrayBufferLike>>(fn: (...args: any) => T | Promise<T>, ...args: any[]): Promise<T>;
+		/**
+		 * Commit pending rotation by aliasing pending version as current. The previously current version is destroyed, or retention option is applied.
+		 * @returns committed version name
+		 */
+		commitRotation(): Promise<string>;
+		/**
+		 * Abort pending rotation by disabling pending version. The disabled version would be latest, hence current version data
+		 * is restored as a new version aliased as current, and the previously current version is destroyed, or retention option is applied
+		 * @returns disabled version name
+		 */
+		abortRotation(): Promise<string>;
+		/**
+		 * @internal Get version aliases of secret with pending rotation
+		 * */
+		_getPendingRotationAliases(secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): Record<string, number>;
 		/**
-		 * Lock secret by updating it so that it rotates etag
+		 * @internal Throw if secret has a pending rotation, the pending version must be committed or aborted before the secret is updated
+		 * */
+		_assertNoPendingRotation(secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): void;
+		/**
+		 * Rollback to previous version by adding its data as a new version, the secret is locked in the same manner as optimistic update.
+		 * A previous version that is disabled or scheduled for destruction is enabled, which cancels pending destruction. Versions rejected by abortRotation or verification are skipped.
+		 * @returns restored secret version data, decoded with codec option if set
+		 */
+		rollback(): Promise<any>;
+		/**
+		 * @internal Add new version to locked secret, retire previous version, and annotate secret as updated. Current alias is moved to the new version if maintainAliases option is set or secret has a current alias
+		 * @param parent secret name
+		 * @param secretData new version data
+		 * @param latestVersion version that is replaced
+		 * @param annotations additional secret annotations
+		 * @param context operation and update arguments, recorded in audit trail if audit option is set, rotation schedule is advanced on update
+		 */
+		_addVersion(parent: string, secretData: string | Buffer, latestVersion?: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecretVersion, annotations?: Record<string, string>, context?: {
+			operation: string;
+			args: any[];
+		}): Promise<void>;
+		/**
+		 * @internal Add audit record annotation if audit option is set, records beyond max entries are removed
+		 * @param annotations secret annotations
+		 * @returns annotations with audit record
+		 */
+		_withAuditRecord(annotations: Record<string, string>, { operation, args, previousVersion, newVersion }: {
+			operation?: string;
+			args?: any[];
+			previousVersion?: string;
+			newVersion: string;
+		}): Record<string, string>;
+		/**
+		 * Check if secret rotation is due according to secret rotation schedule
+		 * @returns true if next rotation time has passed, or rotation period has passed since last update
+		 */
+		isRotationDue(): Promise<boolean>;
+		/**
+		 * Update secret with new version if rotation is due according to secret rotation schedule, otherwise no-op.
+		 * The rotation schedule is checked again on the locked secret, a concurrent rotation that completed before the lock makes this a no-op
+		 * @param fn get new secret function, called if rotation is due and a lock was acheieved, called with args followed by an update context
+		 * @param  args optional arguments to function
+		 * @returns new secret version data, or null if rotation is not due
+		 */
+		rotateIfDue<T = string | Buffer<ArrayBufferLike>>(fn: (...args: any) => T | Promise<T>, ...args: any[]): Promise<T | null>;
+		/**
+		 * @internal Get next rotation time advanced by rotation period if rotation is due.
+		 * Rotation period is input only and is not returned by Secret Manager, hence the rotationPeriodMs option.
+		 * Next rotation time that is not due is kept, e.g. advanced by Secret Manager when publishing SECRET_ROTATE
+		 * @returns rotation with advanced next rotation time, or undefined if next rotation time is kept
+		 */
+		_getAdvancedRotation(secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.IRotation | undefined;
+		/**
+		 * @internal Get expire time extended by extendExpiryMs option
+		 * @returns extended expire time, or undefined if option is not set, secret does not expire, or secret expires later
+		 */
+		_getExtendedExpireTime(secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): import("@google-cloud/secret-manager").protos.google.protobuf.ITimestamp | undefined;
+		/**
+		 * Get rotation history from audit trail annotations, most recent rotation first
+		 * */
+		getRotationHistory(): Promise<rotationHistoryEntry[]>;
+		/**
+		 * @internal Validate new secret data with validate option function before it is added as a new version
+		 * @param secretData new secret data, or value if codec option is set
+		 * @param latestVersion latest version, passed to validate function as previous value if enabled
+		 */
+		_validate(secretData: any, latestVersion?: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecretVersion): Promise<void>;
+		/**
+		 * @internal Verify added version by reading it back, the version is disabled if data differs. The disabled version would be latest,
+		 * hence restore version data is added as a new version and the restore version is destroyed, or retention option is applied
+		 * @param versionName added version name
+		 * @param secretData written secret data
+		 * @param restoreVersionName version to restore if verification fails
+		 */
+		_verifyVersion(versionName: string, secretData: string | Buffer, restoreVersionName?: string): Promise<void>;
+		/**
+		 * @internal Disable rejected version of locked secret and record it in rejected_versions annotation, rollback never restores a rejected version
+		 * @param versionName rejected version name
+		 */
+		_rejectVersion(versionName: string): Promise<void>;
+		/**
+		 * @internal Retire replaced version, destroy it or apply retention option
+		 * @param parent secret name
+		 * @param versionName replaced version name
+		 */
+		_retireVersion(parent: string, versionName: string): Promise<void>;
+		/**
+		 * @internal Add secret version with payload checksum
+		 * @param parent secret name
+		 * @param secretData version data
+		 */
+		_addSecretVersion(parent: string, secretData: string | Buffer): Promise<secretManager.protos.google.cloud.secretmanager.v1.ISecretVersion>;
+		/**
+		 * @internal Destroy secret version
+		 * @param versionName secret version name
+		 */
+		_destroySecretVersion(versionName: string): Promise<void>;
+		/**
+		 * @internal Access secret version and verify payload checksum if returned
+		 * @param name secret version name
+		 */
+		_accessSecretVersion(name: string): Promise<secretManager.protos.google.cloud.secretmanager.v1.IAccessSecretVersionResponse>;
+		/**
+		 * @internal Encode secret value with codec option
+		 * @returns secret data
+		 */
+		_encode(value: any): string | Buffer;
+		/**
+		 * @internal Decode secret data with codec option
+		 * @param data secret version payload data
+		 * @param versionName secret version name
+		 * @returns decoded value, or buffer if codec option is not set
+		 */
+		_decode(data: string | Uint8Array, versionName: string): any;
+		/**
+		 * @internal Call update function with update context while lock is renewed
+		 * @param fn get new secret function
+		 * @param args arguments to function
+		 * @returns new secret data
+		 */
+		_callUpdateFunction<T>(fn: (...args: any) => T | Promise<T>, args: any[]): Promise<T>;
+		/**
+		 * @internal Apply version retention policy, keep the most recent versions enabled, disable older, and destroy the oldest
+		 * @param parent secret name
+		 * @returns names of kept versions
+		 */
+		_applyRetention(parent: string): Promise<string[]>;
+		/**
+		 * Lock secret with lock strategy, the default strategy updates secret annotations so that it rotates etag, retries according to retry option if lock is contended
 		 * @returns locked secret
 		 */
 		lock(): Promise<secretManager.protos.google.cloud.secretmanager.v1.ISecret>;
 		/**
-		 * Unlock secret
+		 * @internal Acquire lock with lock strategy
+		 */
+		_acquireLock(): Promise<secretManager.protos.google.cloud.secretmanager.v1.ISecret>;
+		/**
+		 * @internal Periodically renew lock while update function is running
+		 * @param controller aborted if lock is taken by another process
+		 * @returns stop heartbeat, resolves when pending renewal is completed
+		 */
+		_startHeartbeat(controller: AbortController): () => Promise<void>;
+		/**
+		 * @internal Renew lock with lock strategy
+		 */
+		_renewLock(): Promise<void>;
+		/**
+		 * Unlock secret, refuses to release a lock that is not owned by this instance.
+		 * Ignores abort signal and timeout so that the lock is released when an operation is aborted
 		 */
 		unlock(): Promise<void>;
+		/**
+		 * @internal Unlock after failed update so that an unlock failure does not mask the update failure
+		 * @param err update failure
+		 * @returns update failure, or an AggregateError with update and unlock failures and update failure as cause
+		 */
+		_unlockOnError(err: unknown): Promise<unknown>;
+		/**
+		 * @internal Release lock with lock strategy
+		 */
+		_releaseLock(): Promise<void>;
+		/**
+		 * Get current lock information from lock strategy
+		 * */
+		getLockInfo(): Promise<lockInfo>;
+		/**
+		 * Force release lock regardless of owner, e.g. when lock holder died during update
+		 * @returns true if lock was released
+		 */
+		forceUnlock(options?: forceUnlockOptions): Promise<boolean>;
+		/**
+		 * @internal Wait for the process holding the lock to add a new version
+		 * @param observedVersion latest version before lock attempt
+		 * @param lockError lock error, thrown if no new version appears within grace period
+		 * @returns new version secret data, decoded with codec option if set
+		 */
+		_waitForConcurrentVersion(observedVersion: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecretVersion, lockError: unknown): Promise<any>;
+		/**
+		 * @internal Get exponential backoff delay for lock attempt
+		 * @param attempt failed attempt number, starting at 1
+		 * @returns delay in milliseconds
+		 */
+		_getRetryDelay(attempt: number): number;
 		/**
 		 * @internal Prepare optimistic update
 		 */
 		_prepare(): Promise<secretManager.protos.google.cloud.secretmanager.v1.ISecret>;
 		/**
-		 * @internal Get gax call options
+		 * @internal Get secret, creates secret if missing and createIfMissing option is set
+		 */
+		_getSecret(): Promise<secretManager.protos.google.cloud.secretmanager.v1.ISecret>;
+		/**
+		 * @internal Create secret with createIfMissing option configuration, reads secret if it was created by another process
+		 */
+		_createSecret(): Promise<secretManager.protos.google.cloud.secretmanager.v1.ISecret>;
+		/**
+		 * @internal Update secret annotations, version aliases, rotation, and expire time, conditional on etag
 		 * */
 		_updateSecret(secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): Promise<[secretManager.protos.google.cloud.secretmanager.v1.ISecret, secretManager.protos.google.cloud.secretmanager.v1.IUpdateSecretRequest, {}]>;
 		/**
-		 * @internal Get gax call options
+		 * Run function as one operation with its own abort signal and deadline, calls made by the function on this instance share the operation.
+		 * The signal is combined with the signal option, and timeoutMs is used ahead of the timeoutMs option
+		 * @param operationOptions per operation signal and timeout
+		 * @param fn function that calls instance methods, e.g. () => concurrentSecret.optimisticUpdate(getNewSecret)
+		 * */
+		withOperation<T>(operationOptions: operationOptions, fn: () => T | Promise<T>): Promise<T>;
+		/**
+		 * @internal Run operation with abort signal and deadline, nested operations share the outermost operation
+		 * @param spanName run operation in an OpenTelemetry span with this name
+		 * */
+		_runOperation<T>(operation: () => Promise<T>, spanName?: string): Promise<T>;
+		/**
+		 * @internal Run update operation, emits updateFailed if update fails
+		 * @param spanName run update in an OpenTelemetry span with this name
+		 * */
+		_runUpdate<T>(update: () => Promise<T>, spanName?: string): Promise<T>;
+		/**
+		 * @internal Get current operation context, creates a new one if called outside of an operation
+		 * */
+		_getOperation(): operationContext;
+		/**
+		 * @internal Create operation context from per operation options and signal and timeout options
+		 * @param operationOptions per operation signal, combined with signal option, and timeout, used ahead of timeoutMs option
+		 * */
+		_createOperation(operationOptions?: operationOptions): operationContext;
+		/**
+		 * @internal Get gax call options, throws if operation is aborted, cancels the call if operation is aborted while in flight, and limits call timeout to operation deadline
 		 * */
 		_getCallOptions(): import("google-gax").CallOptions;
 	}
 	export class CachedSecret extends ConcurrentSecret_1 {
-		
-		constructor(name: string, initialValue: string, options: cachedSecretOptions & concurrentSecretOptions);
 		/**
-		 * Secret value
+		 * @param initialValue string, or decoded value if codec option is set
 		 * */
-		value: string;
+		constructor(name: string, initialValue: any, options: cachedSecretOptions & concurrentSecretOptions);
+		/**
+		 * Secret value, string or decoded value if codec option is set
+		 * */
+		value: any;
 		/**
 		 * Update secret value function
 		 * */
-		updateMethod: (...args: any) => Promise<string | Buffer>;
+		updateMethod: (...args: any) => Promise<any>;
 		/**
 		 * Current version name
 		 * */
 		versionName: string | undefined;
+		/**
+		 * Secret expire time, undefined if secret does not expire or expire time is unknown
+		 * */
+		expireTime: Date | undefined;
+		/**
+		 * Read secret expire time on every update, requires secretmanager.secrets.get permission
+		 * */
+		readExpireTime: boolean;
+		/**
+		 * Secret has expired
+		 */
+		get expired(): boolean;
 		/**
 		 * Use method to get new secret value, missing method fetches latest version data
+		 * @returns string, or decoded value if codec option is set
+		 */
+		update(...args: any[]): Promise<any>;
+		/**
+		 * @internal Get new secret value from update method or latest version
+		 * */
+		_updateValue(...args: any[]): Promise<any>;
+		/**
+		 * @internal Read expire time from secret, expire time is unknown if permission to get secret is denied
+		 */
+		_updateExpireTime(): Promise<void>;
+		/**
+		 * @internal Set expire time from secret
 		 * */
-		update(...args: any[]): Promise<string>;
+		_setExpireTime(secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): void;
 		/**
 		 * Update cached secret value and version name
 		 * */
-		_updateCachedSecret(...args: any[]): Promise<string>;
+		_updateCachedSecret(...args: any[]): Promise<any>;
 		/**
-		 * Clone current secret with new value
+		 * @internal Get cached value from secret version payload data
+		 * @param data secret version payload data
+		 * @param versionName secret version name
+		 * @returns decoded value if codec option is set, otherwise string
+		 */
+		_toValue(data: string | Uint8Array, versionName: string): any;
+		/**
+		 * @internal Clone secret with latest version value without calling update method, this instance is left untouched
+		 * */
+		_cloneLatest(): Promise<CachedSecret>;
+		/**
+		 * Clone current secret with new value, event listeners are copied to the clone
 		 * */
-		clone(newValue: string | Buffer): CachedSecret;
+		clone(newValue: any): CachedSecret;
 	}
 	export class SecretsCache {
 		/**
 		 * @param clientOrClientOptions Secret Manager client instance or the options for a new one
 		 * @param cacheOptions LRU Cache options
+		 * @param secretOptions default cached secret options, used for secrets fetched by get and merged with secrets set options, expire time of fetched secrets is only read with readExpireTime
 		 */
-		constructor(clientOrClientOptions?: import("google-gax").ClientOptions | import("@google-cloud/secret-manager").v1.SecretManagerServiceClient, cacheOptions?: Omit<LRUCache.Options<string, CachedSecret, any>, "fetchMethod">);
+		constructor(clientOrClientOptions?: import("google-gax").ClientOptions | import("@google-cloud/secret-manager").v1.SecretManagerServiceClient, cacheOptions?: Omit<LRUCache.Options<string, CachedSecret, any>, "fetchMethod">, secretOptions?: concurrentSecretOptions & Pick<cachedSecretOptions, "readExpireTime">);
+		
 		client: import("@google-cloud/secret-manager").v1.SecretManagerServiceClient;
+		/**
+		 * Client options used to create regional clients, undefined if a client instance was passed
+		 * */
+		clientOptions: import("google-gax").ClientOptions | undefined;
+		/**
+		 * Clients for regional secrets by location, created with client options and the regional endpoint
+		 * */
+		regionalClients: Map<string, import("@google-cloud/secret-manager").v1.SecretManagerServiceClient>;
+		/**
+		 * Default cached secret options, e.g. readAlias and readExpireTime
+		 * */
+		secretOptions: concurrentSecretOptions & Pick<cachedSecretOptions, "readExpireTime">;
 		cache: LRUCache<string, CachedSecret, any>;
 		/**
 		 * Get cached secret
@@ -112,19 +507,126 @@ declare module '@aller/google-cloud-secret' {
 		has(name: string): boolean;
 		/**
 		 * Set cached secret
-		 * @param initialValue initial value
+		 * @param initialValue initial value, decoded value if codec option is set
 		 * @param updateMethod function to use when to update secret with new value, if omitted return latest secret version data
 		 * @param options cached secret options, plus ttl which is passed to underlying cache
 		 */
-		set(name: string, initialValue?: string, updateMethod?: (options: LRUCache.FetcherOptions<string, CachedSecret, any>) => Promise<string | Buffer>, options?: concurrentSecretOptions & cachedSetSecretOptions): void;
+		set(name: string, initialValue?: any, updateMethod?: (options: LRUCache.FetcherOptions<string, CachedSecret, any>) => Promise<any>, options?: concurrentSecretOptions & cachedSetSecretOptions): void;
 		/**
 		 * Update secret and return cached secret with new value
 		 * */
 		update(name: string): Promise<CachedSecret>;
+		/**
+		 * Invalidate cached secret value and refresh it from latest version without calling update method, cached secret is kept if refresh fails
+		 * @returns refreshed cached secret, or undefined if secret is not in cache
+		 */
+		invalidate(name: string): Promise<CachedSecret | undefined>;
 		/**
 		 * Get cached secret remaining ttl
 		 * */
 		getRemainingTTL(name: string): number;
+		/**
+		 * @internal Get client for secret, regional secrets get a regional client unless a client instance was passed or apiEndpoint is set
+		 * @param name secret resource name
+		 * */
+		_getClient(name: string): import("@google-cloud/secret-manager").v1.SecretManagerServiceClient;
+	}
+	export class AnnotationLock {
+		/**
+		 * Acquire lock by updating secret annotations with etag
+		 * */
+		acquire(concurrentSecret: ConcurrentSecret_1): Promise<acquiredLock>;
+		/**
+		 * Renew lock by updating locked at annotation with current etag
+		 * */
+		renew(concurrentSecret: ConcurrentSecret_1): Promise<acquiredLock>;
+		/**
+		 * Release lock by removing lock annotations, refuses to release a lock that is not owned by secret instance.
+		 * Re-reads secret and retries if etag has changed while locked
+		 * @returns released secret etag
+		 */
+		release(concurrentSecret: ConcurrentSecret_1): Promise<string>;
+		/**
+		 * Get current lock information from secret annotations
+		 * */
+		getLockInfo(concurrentSecret: ConcurrentSecret_1): Promise<lockInfo>;
+		/**
+		 * Force release lock regardless of owner by removing lock annotations with an etag conditional update
+		 * @returns true if lock was released
+		 */
+		forceUnlock(concurrentSecret: ConcurrentSecret_1, options?: forceUnlockOptions): Promise<boolean>;
+		/**
+		 * @internal Get secret that holds lock annotations before lock attempt
+		 * */
+		_getLockSecret(concurrentSecret: ConcurrentSecret_1): Promise<import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret>;
+		/**
+		 * @internal Read current state of secret that holds lock annotations
+		 * */
+		_readLockSecret(concurrentSecret: ConcurrentSecret_1): Promise<import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret>;
+		/**
+		 * @internal Get secret that holds lock annotations while locked
+		 * */
+		_getHeldLockSecret(concurrentSecret: ConcurrentSecret_1): import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret;
+		/**
+		 * @internal Map locked secret to acquired lock
+		 * @param lockedSecret secret with lock annotations
+		 * */
+		_toAcquiredLock(_concurrentSecret: ConcurrentSecret_1, lockedSecret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret, fencingToken: number): Promise<acquiredLock>;
+		/**
+		 * @internal Parse lock information from secret annotations
+		 * @param lockSecret secret with lock annotations
+		 * */
+		_parseLockInfo(concurrentSecret: ConcurrentSecret_1, lockSecret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret): lockInfo;
+	}
+	export class CompanionSecretLock extends AnnotationLock {
+		
+		constructor(options?: companionSecretLockOptions);
+		options: {
+			/**
+			 * companion secret resource name, default is secret name suffixed with -lock
+			 */
+			name?: string;
+		};
+		/**
+		 * Get companion secret name
+		 * @returns companion secret resource name
+		 */
+		getCompanionSecretName(concurrentSecret: ConcurrentSecret_1): string;
+		/**
+		 * @internal Get locked companion secret
+		 * */
+		_getHeldLockSecret(concurrentSecret: ConcurrentSecret_1): any;
+	}
+	export class InProcessLock {
+		/**
+		 * Acquire in-process lock, the secret is not updated
+		 * */
+		acquire(concurrentSecret: ConcurrentSecret_1): Promise<acquiredLock>;
+		/**
+		 * Renew in-process lock
+		 * */
+		renew(concurrentSecret: ConcurrentSecret_1): Promise<acquiredLock>;
+		/**
+		 * Release in-process lock, refuses to release a lock that is not owned by secret instance
+		 * */
+		release(concurrentSecret: ConcurrentSecret_1): Promise<undefined>;
+		/**
+		 * Get current in-process lock information
+		 * */
+		getLockInfo(concurrentSecret: ConcurrentSecret_1): Promise<lockInfo>;
+		/**
+		 * Force release in-process lock regardless of owner
+		 * @returns true if lock was released
+		 */
+		forceUnlock(concurrentSecret: ConcurrentSecret_1, options?: forceUnlockOptions): Promise<boolean>;
+		/**
+		 * @internal Get current in-process lock information synchronously
+		 * */
+		_getLockInfo(concurrentSecret: ConcurrentSecret_1): lockInfo;
+		/**
+		 * @internal Get lock entry owned by secret instance, throws if lock was lost
+		 * */
+		_getOwnedEntry(concurrentSecret: ConcurrentSecret_1): inProcessLockEntry;
 	}
 	export type concurrentSecretOptions = {
 		/**
@@ -135,6 +637,537 @@ declare module '@aller/google-cloud-secret' {
 		 * optional function to pass other args to pass to each request, tracing for instance
 		 */
 		callOptions?: () => import("google-gax").CallOptions | import("google-gax").CallOptions;
+		/**
+		 * retry lock with exponential backoff if secret is locked by another process or etag has changed
+		 */
+		retry?: retryOptions;
+		/**
+		 * throw if secret is locked by another process, or wait for the version added by the other process, default is throw
+		 */
+		onContention?: "throw" | "wait";
+		/**
+		 * interval in milliseconds to poll for new version while waiting on contention, default is 1000ms
+		 */
+		pollIntervalMs?: number;
+		/**
+		 * version retention policy applied after successful update, default is to destroy previous version
+		 */
+		retention?: retentionOptions;
+		/**
+		 * validate new secret value before it is added, throw or return false to abort update, values are decoded with codec option if set, previous value is a buffer otherwise
+		 */
+		validate?: (newValue: any, previousValue: any) => boolean | void | Promise<boolean | void>;
+		/**
+		 * read added version back and verify data, the version is disabled and update aborted if data differs
+		 */
+		verify?: boolean;
+		/**
+		 * lock owner identity stored in locked_by annotation, default is hostname/pid
+		 */
+		ownerId?: string;
+		/**
+		 * create secret before lock if it does not exist, true or secret configuration, default is false
+		 */
+		createIfMissing?: boolean | createSecretOptions;
+		/**
+		 * point current version alias at the new version and previous at the retired version on every update, default is false
+		 */
+		maintainAliases?: boolean;
+		/**
+		 * read latest data by version alias, e.g. current, falls back to latest version if secret lacks alias
+		 */
+		readAlias?: string;
+		/**
+		 * record who, why, and which versions in bounded audit trail annotations on every rotation, default is false
+		 */
+		audit?: boolean | auditOptions;
+		/**
+		 * rotation period in milliseconds used to advance next rotation time when a due rotation is made, rotation period is input only and not returned by Secret Manager
+		 */
+		rotationPeriodMs?: number;
+		/**
+		 * extend expire time of expiring secret to at least this many milliseconds from now on update, default is to leave expire time as is
+		 */
+		extendExpiryMs?: number;
+		/**
+		 * coalesce concurrent optimistic updates of the same secret name within the process, the function, arguments, and options of a joining caller are not used, default is false
+		 */
+		coalesceUpdates?: boolean;
+		/**
+		 * lock strategy, AnnotationLock, CompanionSecretLock, InProcessLock, or custom, default is AnnotationLock
+		 */
+		lockStrategy?: lockStrategy;
+		/**
+		 * renew lock at interval in milliseconds while update function is running, should be well below grace period, default is no renewal
+		 */
+		heartbeatIntervalMs?: number;
+		/**
+		 * encode new secret values and decode secret version data, json or a custom codec, default is raw string or buffer
+		 */
+		codec?: "json" | secretCodec;
+		/**
+		 * abort signal, aborts pending operations, the lock is released on a best effort basis
+		 */
+		signal?: AbortSignal;
+		/**
+		 * total deadline in milliseconds per operation, e.g. optimisticUpdate, including lock retries and update function, default is no deadline
+		 */
+		timeoutMs?: number;
+	};
+	/**
+	 * passed as last argument to update function
+	 */
+	export type updateContext = {
+		/**
+		 * aborted if lock is lost to another process, the signal option is aborted, or the operation deadline is exceeded while update function is running
+		 */
+		signal: AbortSignal;
+		/**
+		 * monotonically increasing lock fencing token
+		 */
+		fencingToken: number;
+	};
+	export type lockedEvent = {
+		/**
+		 * secret name
+		 */
+		name: string;
+		/**
+		 * locked secret etag
+		 */
+		etag: string;
+		/**
+		 * lock fencing token
+		 */
+		fencingToken: number;
+		/**
+		 * number of lock attempts
+		 */
+		attempts: number;
+		/**
+		 * time it took to acquire lock, including retries
+		 */
+		durationMs: number;
+	};
+	export type lockContendedEvent = {
+		/**
+		 * secret name
+		 */
+		name: string;
+		/**
+		 * failed lock attempt number
+		 */
+		attempt: number;
+		/**
+		 * lock error, locked by another process or etag mismatch
+		 */
+		error: unknown;
+	};
+	export type versionEvent = {
+		/**
+		 * secret name
+		 */
+		name: string;
+		/**
+		 * secret version name
+		 */
+		versionName: string;
+		/**
+		 * secret version etag
+		 */
+		etag: string;
+	};
+	export type unlockedEvent = {
+		/**
+		 * secret name
+		 */
+		name: string;
+		/**
+		 * released secret etag
+		 */
+		etag: string;
+		/**
+		 * released lock fencing token
+		 */
+		fencingToken: number;
+		/**
+		 * time the lock was held
+		 */
+		durationMs?: number;
+	};
+	export type updateFailedEvent = {
+		/**
+		 * secret name
+		 */
+		name: string;
+		/**
+		 * update error
+		 */
+		error: unknown;
+		/**
+		 * time until update failed
+		 */
+		durationMs: number;
+	};
+	export type concurrentSecretEvents = {
+		/**
+		 * secret was locked
+		 */
+		locked: [lockedEvent];
+		/**
+		 * lock attempt failed since secret is locked by another process or etag has changed
+		 */
+		lockContended: [lockContendedEvent];
+		/**
+		 * secret version was added
+		 */
+		versionAdded: [versionEvent];
+		/**
+		 * secret version was destroyed
+		 */
+		versionDestroyed: [versionEvent];
+		/**
+		 * lock was released
+		 */
+		unlocked: [unlockedEvent];
+		/**
+		 * optimistic update, rotation, or rollback failed
+		 */
+		updateFailed: [updateFailedEvent];
+	};
+	export type secretCodec = {
+		/**
+		 * encode value to secret data
+		 */
+		encode: (value: any) => string | Buffer;
+		/**
+		 * decode secret data to value, throw if data is invalid
+		 */
+		decode: (data: Buffer) => any;
+	};
+	export type operationOptions = {
+		/**
+		 * operation abort signal, combined with signal option
+		 */
+		signal?: AbortSignal;
+		/**
+		 * total deadline in milliseconds of the operation, used ahead of timeoutMs option
+		 */
+		timeoutMs?: number;
+	};
+	export type operationContext = {
+		/**
+		 * operation owner
+		 */
+		concurrentSecret: ConcurrentSecret_1;
+		/**
+		 * operation abort signal
+		 */
+		signal?: AbortSignal;
+		/**
+		 * operation deadline as epoch milliseconds
+		 */
+		deadline?: number;
+	};
+	export type retentionOptions = {
+		/**
+		 * number of most recent versions to keep enabled, including the new version, older versions are disabled, default is 1
+		 */
+		keepEnabled?: number;
+		/**
+		 * number of most recent versions to keep, enabled or disabled, older versions are destroyed, default is keepEnabled
+		 */
+		keepVersions?: number;
+	};
+	export type lockInfo = {
+		/**
+		 * secret has lock annotation
+		 */
+		locked: boolean;
+		/**
+		 * lock owner identity
+		 */
+		lockedBy?: string;
+		/**
+		 * lock time
+		 */
+		lockedAt?: Date;
+		/**
+		 * lock grace period expiry time
+		 */
+		expiresAt?: Date;
+		/**
+		 * lock grace period has expired
+		 */
+		expired: boolean;
+		/**
+		 * fencing token of latest lock
+		 */
+		fencingToken?: number;
+		/**
+		 * etag of secret holding lock annotations, undefined for in-process lock
+		 */
+		etag?: string;
+	};
+	/**
+	 * secret configuration used when secret is created
+	 */
+	export type createSecretOptions = {
+		/**
+		 * replication policy, default is automatic
+		 */
+		replication?: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.IReplication;
+		/**
+		 * delay destruction of versions
+		 */
+		versionDestroyTtl?: import("@google-cloud/secret-manager").protos.google.protobuf.IDuration;
+		/**
+		 * secret labels
+		 */
+		labels?: Record<string, string>;
+		/**
+		 * secret annotations
+		 */
+		annotations?: Record<string, string>;
+		/**
+		 * rotation schedule, requires topics
+		 */
+		rotation?: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.IRotation;
+		/**
+		 * Pub/Sub topics to notify
+		 */
+		topics?: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ITopic[];
+		/**
+		 * secret is deleted at this time
+		 */
+		expireTime?: import("@google-cloud/secret-manager").protos.google.protobuf.ITimestamp;
+		/**
+		 * secret is deleted after this duration
+		 */
+		ttl?: import("@google-cloud/secret-manager").protos.google.protobuf.IDuration;
+	};
+	export type auditOptions = {
+		/**
+		 * number of audit records to keep, default is 10
+		 */
+		maxEntries?: number;
+		/**
+		 * rotation reason, or function called with update arguments returning reason
+		 */
+		reason?: string | ((...args: any) => string);
+	};
+	export type rotationHistoryEntry = {
+		/**
+		 * rotation counter
+		 */
+		rotation: number;
+		/**
+		 * rotation time
+		 */
+		rotatedAt: Date;
+		/**
+		 * lock owner that rotated secret
+		 */
+		rotatedBy: string;
+		/**
+		 * rotation reason
+		 */
+		reason?: string;
+		/**
+		 * update, rollback, or commitRotation
+		 */
+		operation: string;
+		/**
+		 * retired version name
+		 */
+		previousVersion?: string;
+		/**
+		 * new version name
+		 */
+		newVersion: string;
+	};
+	export type notificationHandlerOptions = {
+		/**
+		 * update function called with notification on SECRET_ROTATE events, rotate events are ignored if omitted
+		 */
+		rotate?: (notification: secretNotification, context: updateContext) => any;
+		/**
+		 * secrets cache to invalidate on version events and delete from on SECRET_DELETE events
+		 */
+		secretsCache?: SecretsCache;
+		/**
+		 * Secret Manager client instance or the options for a new one, defaults to secrets cache client
+		 */
+		client?: import("google-gax").ClientOptions | import("@google-cloud/secret-manager").v1.SecretManagerServiceClient;
+		/**
+		 * options for the concurrent secret that is rotated
+		 */
+		concurrentSecretOptions?: concurrentSecretOptions;
+	};
+	export type pubSubMessage = {
+		/**
+		 * message attributes, e.g. eventType, secretId, and versionId
+		 */
+		attributes?: Record<string, string>;
+		/**
+		 * base64 encoded string or buffer with JSON secret or secret version
+		 */
+		data?: string | Uint8Array;
+	};
+	export type secretNotification = {
+		/**
+		 * notification event type, e.g. SECRET_ROTATE or SECRET_VERSION_ADD
+		 */
+		eventType: string;
+		/**
+		 * secret resource name
+		 */
+		secretId: string;
+		/**
+		 * secret version resource name for version events
+		 */
+		versionId?: string;
+		/**
+		 * message attributes
+		 */
+		attributes: Record<string, string>;
+		/**
+		 * parsed JSON message data, null if missing or malformed
+		 */
+		data: any;
+	};
+	export type notificationResult = {
+		/**
+		 * notification event type
+		 */
+		eventType: string;
+		/**
+		 * secret resource name
+		 */
+		secretId: string;
+		/**
+		 * handled action
+		 */
+		action: "rotated" | "invalidated" | "deleted" | "ignored";
+		/**
+		 * rotate function result
+		 */
+		result?: any;
+	};
+	export type secretLockedErrorDetails = {
+		/**
+		 * lock time
+		 */
+		lockedAt: Date;
+		/**
+		 * lock owner
+		 */
+		lockedBy?: string;
+		/**
+		 * milliseconds until lock grace period expires
+		 */
+		retryAfterMs: number;
+	};
+	export type pendingUpdate = {
+		/**
+		 * in-flight optimistic update
+		 */
+		update: Promise<any>;
+		/**
+		 * instance running the update
+		 */
+		concurrentSecret: ConcurrentSecret_1;
+	};
+	/**
+	 * lock strategy used by lock and unlock
+	 */
+	export type lockStrategy = {
+		/**
+		 * acquire lock, reject with code 9 FAILED_PRECONDITION if lock is contended
+		 */
+		acquire: (concurrentSecret: ConcurrentSecret_1) => Promise<acquiredLock>;
+		/**
+		 * renew held lock, reject with code 9 FAILED_PRECONDITION if lock was lost
+		 */
+		renew: (concurrentSecret: ConcurrentSecret_1) => Promise<acquiredLock>;
+		/**
+		 * release held lock, reject with code 9 FAILED_PRECONDITION if lock is not owned, resolves etag if any
+		 */
+		release: (concurrentSecret: ConcurrentSecret_1) => Promise<string | undefined>;
+		/**
+		 * get current lock information
+		 */
+		getLockInfo: (concurrentSecret: ConcurrentSecret_1) => Promise<lockInfo>;
+		/**
+		 * force release lock regardless of owner
+		 */
+		forceUnlock: (concurrentSecret: ConcurrentSecret_1, options?: forceUnlockOptions) => Promise<boolean>;
+	};
+	export type acquiredLock = {
+		/**
+		 * secret used for etag conditional updates while locked
+		 */
+		secret: import("@google-cloud/secret-manager").protos.google.cloud.secretmanager.v1.ISecret;
+		/**
+		 * lock fencing token
+		 */
+		fencingToken: number;
+		/**
+		 * lock strategy specific handle, passed on as concurrent secret lockHandle
+		 */
+		handle?: any;
+	};
+	export type companionSecretLockOptions = {
+		/**
+		 * companion secret resource name, default is secret name suffixed with -lock
+		 */
+		name?: string;
+	};
+	export type inProcessLockEntry = {
+		/**
+		 * lock owner
+		 */
+		lockedBy: string;
+		/**
+		 * lock time
+		 */
+		lockedAt: Date;
+		/**
+		 * lock fencing token
+		 */
+		fencingToken: number;
+	};
+	export type forceUnlockOptions = {
+		/**
+		 * only release lock if it was acquired before this time
+		 */
+		ifLockedBefore?: Date | string | number;
+	};
+	export type retryOptions = {
+		/**
+		 * maximum number of lock attempts, default is 1, i.e. no retry
+		 */
+		maxAttempts?: number;
+		/**
+		 * delay before first retry in milliseconds, default is 100ms
+		 */
+		minDelayMs?: number;
+		/**
+		 * maximum delay between attempts in milliseconds, default is 10000ms
+		 */
+		maxDelayMs?: number;
+		/**
+		 * exponential backoff factor, default is 2
+		 */
+		factor?: number;
+		/**
+		 * randomize delay between half and full backoff delay, default is true
+		 */
+		jitter?: boolean;
+		/**
+		 * total time in milliseconds to keep on retrying, default is no deadline
+		 */
+		deadlineMs?: number;
 	};
 	export type cachedSetSecretOptions = {
 		/**
@@ -144,9 +1177,9 @@ declare module '@aller/google-cloud-secret' {
 	};
 	export type cachedSecretOptions = {
 		/**
-		 * use this method to update with new secret value
+		 * use this method to update with new secret value, return value is encoded with codec option if set
 		 */
-		updateMethod?: (...args: any) => Promise<string | Buffer>;
+		updateMethod?: (...args: any) => Promise<any>;
 		/**
 		 * Secret Manager client instance or the options for a new one
 		 */
@@ -155,6 +1188,14 @@ declare module '@aller/google-cloud-secret' {
 		 * version name
 		 */
 		versionName?: string;
+		/**
+		 * secret expire time
+		 */
+		expireTime?: Date;
+		/**
+		 * read secret expire time on every update to cap cache ttl, requires secretmanager.secrets.get permission, expire time is otherwise only known after the secret was updated by the cached secret
+		 */
+		readExpireTime?: boolean;
 	};
 
 	export {};